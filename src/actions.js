@@ -2,11 +2,80 @@
 
 console.log('Neuro-Duolingo actions.js loaded');
 
-// Register all supported actions according to API.md specification
-function registerActions() {
-    // Avoid registering actions too frequently
+// Build the submit_answer action with a schema tailored to the current challenge,
+// so the Neuro API can validate answers before they reach the page
+function buildSubmitAnswerAction(context = null) {
+    const contextType = context ? context.contextType : 'unknown';
+    let description;
+    let answerSchema;
+
+    switch (contextType) {
+        case 'choice':
+            description = 'Submit an answer to the current multiple choice question by picking one of the option texts or its number.';
+            answerSchema = {
+                type: 'string',
+                enum: [...new Set(context.options.map(opt => opt.text))].concat(context.options.map((opt, index) => String(index + 1)))
+            };
+            break;
+
+        case 'tap':
+            description = 'Submit an answer to the current tap challenge as an ordered list of the available word tiles. Each item is a tile text or a tile number; use numbers to pick between identical tiles. A tile can be used once.';
+            answerSchema = {
+                type: 'array',
+                items: {
+                    enum: [...new Set(context.tokens)].concat(context.tokens.map((token, index) => index + 1))
+                }
+            };
+            break;
+
+        case 'match':
+            description = 'Submit an answer to the current match challenge as a list of pairs, each joining a left column tile to a right column tile.';
+            answerSchema = {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        left: {type: 'string', enum: [...new Set(context.leftColumn)]},
+                        right: {type: 'string', enum: [...new Set(context.rightColumn)]}
+                    },
+                    required: ['left', 'right']
+                }
+            };
+            break;
+
+        case 'text':
+            description = 'Submit an answer to the current question by typing the full text answer.';
+            answerSchema = {type: 'string'};
+            break;
+
+        default:
+            description = 'Submit an answer to the current Duolingo question. For tap challenges, provide a comma-separated list of tokens. For multiple choice, provide the option text. For match challenges, provide pairs as "left=right; left=right". For text input, provide the full text answer.';
+            answerSchema = {type: 'string'};
+    }
+
+    return {
+        name: 'submit_answer',
+        description: description,
+        schema: {
+            type: 'object',
+            properties: {
+                answer: answerSchema
+            },
+            required: ['answer']
+        }
+    };
+}
+
+// Register all supported actions according to API.md specification.
+// When a question context is given, submit_answer is registered with a schema built from it.
+function registerActions(context = null) {
+    const submitAnswerAction = buildSubmitAnswerAction(context);
+    const schemaHash = JSON.stringify(submitAnswerAction.schema);
+    const schemaChanged = schemaHash !== lastRegisteredSchemaHash;
+
+    // Avoid registering actions too frequently, unless the answer schema has changed
     const now = Date.now();
-    if (now - lastActionRegistrationTime < ACTION_REGISTRATION_THRESHOLD) {
+    if (!schemaChanged && now - lastActionRegistrationTime < ACTION_REGISTRATION_THRESHOLD) {
         console.debug('Skipping action registration - registered recently');
         logToPopup('debug', 'Skipping action registration - registered recently');
         return;
@@ -15,19 +84,10 @@ function registerActions() {
     // Update registration time
     lastActionRegistrationTime = now;
     
-    logToPopup('info', 'Registering actions with Neuro API');
+    logToPopup('info', 'Registering actions with Neuro API', { contextType: context ? context.contextType : 'unknown' });
     
     const actions = [
-        {
-            name: 'submit_answer',
-            description: 'Submit an answer to the current Duolingo question. For tap challenges, provide a comma-separated list of tokens. For multiple choice, provide the option text. For text input, provide the full text answer.',            schema: {
-                type: 'object',
-                properties: {
-                    answer: {type: 'string'}
-                },
-                required: ['answer']
-            }
-        },
+        submitAnswerAction,
         {
             name: 'get_question_context',
             description: 'Get detailed information about the current question without answering.',
@@ -44,13 +104,30 @@ function registerActions() {
                 properties: {}
             }
         }
-    ];    try {
+    ];
+
+    try {
+        // Neuro ignores registrations for names it already knows, so drop the old schema first
+        const unregisterPrevious = lastRegisteredSchemaHash && schemaChanged
+            ? chrome.runtime.sendMessage({
+                type: 'neuro_unregister_actions',
+                data: {
+                    action_names: ['submit_answer']
+                }
+            }).catch(error => {
+                console.debug('Error unregistering previous submit_answer schema:', error);
+            })
+            : Promise.resolve();
+
+        lastRegisteredSchemaHash = schemaHash;
+
         console.debug('Registering actions with Neuro API');
-        chrome.runtime.sendMessage({
+        unregisterPrevious.then(() => chrome.runtime.sendMessage({
             type: 'neuro_register_actions',
             data: {
                 actions: actions
-            }        }).then(() => {
+            }
+        })).then(() => {
             console.debug('Actions successfully registered with Neuro');
             // Let the user know that the actions have been registered
             sendContext('Actions registered with Neuro: submit_answer, get_question_context, continue_lesson', true);
@@ -78,40 +155,96 @@ function registerActions() {
     }
 }
 
+// Turn a tap answer into a list of tile texts and 1-based tile numbers.
+// Accepts an array, a JSON array string, or a comma separated string of tile texts.
+function parseTapAnswer(answer) {
+    if (Array.isArray(answer)) {
+        return answer;
+    }
+
+    const text = String(answer).trim();
+    if (text.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch (error) {
+            // Not JSON after all, fall back to comma splitting
+        }
+    }
+    return text.split(',').map(token => token.trim()).filter(Boolean);
+}
+
+// Find the first unused word bank tile for one answer item: a tile number, or a tile text
+// (exact text first, then ignoring case, accents and punctuation). Returns -1 when none is left.
+function findTapTile(item, tileTexts, used) {
+    if (typeof item === 'number') {
+        const index = item - 1;
+        return Number.isInteger(item) && index >= 0 && index < tileTexts.length && !used.has(index) ? index : -1;
+    }
+
+    const wanted = String(item).trim();
+    const exact = tileTexts.findIndex((text, index) => !used.has(index) && text.toLowerCase() === wanted.toLowerCase());
+    if (exact !== -1) {
+        return exact;
+    }
+    const normalized = normalizeAnswerText(wanted);
+    return tileTexts.findIndex((text, index) => !used.has(index) && normalizeAnswerText(text) === normalized);
+}
+
+// Tap the requested word bank tiles in order, using each tile at most once.
+// The whole answer is resolved before anything is clicked, so an invalid answer taps nothing.
+// Returns { ok, tapped, message }, where tapped lists the texts of the clicked tiles.
+async function tapAnswerTokens(items) {
+    const tiles = getTapBankButtons();
+    const tileTexts = tiles.map(getTokenText);
+    const available = tileTexts.map((text, index) => `${index + 1}. ${text}`).join('; ');
+    const used = new Set();
+    const plan = [];
+
+    for (const item of items) {
+        const index = findTapTile(item, tileTexts, used);
+        if (index === -1) {
+            const problem = typeof item === 'number' ?
+                (used.has(item - 1) ? `Tile ${item} is used more than once` : `There is no tile ${item}`) :
+                `There is no unused "${item}" tile left`;
+            return { ok: false, tapped: [], message: `${problem}. Available tiles: ${available}` };
+        }
+        used.add(index);
+        plan.push(index);
+    }
+
+    if (plan.length === 0) {
+        return { ok: false, tapped: [], message: `The answer contains no tiles. Available tiles: ${available}` };
+    }
+
+    for (const index of plan) {
+        if (answerStopRequested) {
+            return { ok: false, stopped: true, tapped: [], message: 'Stopped before all tiles were tapped' };
+        }
+        tiles[index].click();
+        await wait(TAP_CLICK_DELAY);
+    }
+    return { ok: true, tapped: plan.map(index => tileTexts[index]), message: '' };
+}
+
 // Helper function to clear previous selections
 function clearPreviousSelections(contextType) {
     console.log('Clearing previous selections for context type:', contextType);
     
     switch (contextType) {
         case 'choice':
-            // Clear all selected choice options
-            const allChoiceElements = Array.from(document.querySelectorAll('[data-test="challenge-choice"]'));
-            allChoiceElements.forEach(element => {
-                element.setAttribute('aria-checked', 'false');
-                element.removeAttribute('data-checked');
-                element.classList.remove('_2Nol3'); // Remove selected class
-                
-                // Also clear any radio inputs
-                const input = element.querySelector('input[type="radio"]');
-                if (input) {
-                    input.checked = false;
-                }
-            });
-            console.log('Cleared', allChoiceElements.length, 'choice selections');
+            // Duolingo has no way to unselect a choice, and rewriting its attributes would only hide the
+            // selection it still holds. Selecting another option replaces it, so there is nothing to clear.
+            console.log('A selected choice stays selected until another option is chosen');
             break;
             
         case 'tap':
-            // Clear all selected tokens by clicking them again
-            const selectedTokens = Array.from(document.querySelectorAll('[data-test="challenge-tapped-tokens-container"] [data-test*="token"]'));
-            selectedTokens.forEach(token => {
-                // Find the corresponding button and click it to deselect
-                const tokenText = token.innerText.trim();
-                const tokenButton = Array.from(document.querySelectorAll('[data-test$="-challenge-tap-token"]'))
-                    .find(btn => btn.innerText.trim() === tokenText);
-                if (tokenButton) {
-                    tokenButton.click();
-                }
-            });
+            // Clear all selected tokens by clicking them in the answer area, which returns them to the word bank.
+            // Clicking the bank tile by text could pick the wrong one of two identical tiles.
+            const selectedTokens = getTappedTokenButtons();
+            selectedTokens.reverse().forEach(token => token.click());
             console.log('Cleared', selectedTokens.length, 'tapped tokens');
             break;
             
@@ -119,14 +252,139 @@ function clearPreviousSelections(contextType) {
             // Clear text input
             const textInput = document.querySelector('input[data-test="challenge-text-input"], textarea[data-test="challenge-translate-input"]');
             if (textInput) {
-                textInput.value = '';
-                textInput.dispatchEvent(new Event('input', { bubbles: true }));
+                clearTextInput(textInput);
                 console.log('Cleared text input');
             }
             break;
     }
 }
 
+// Parse a match answer such as "hola=hello; gato=cat" (or a list of {left, right} objects) into pairs
+function parseMatchPairs(answer) {
+    if (Array.isArray(answer)) {
+        return answer
+            .filter(pair => pair && pair.left && pair.right)
+            .map(pair => ({ left: String(pair.left).trim(), right: String(pair.right).trim() }));
+    }
+
+    return answer.split(/[;\n]/)
+        .map(pair => pair.split('='))
+        .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+        .map(([left, right]) => ({ left: left.trim(), right: right.trim() }));
+}
+
+// Find an unmatched tile in a match column by its text
+function findMatchTile(column, text) {
+    const target = text.toLowerCase().trim();
+    return column.find(btn => !isMatchedTile(btn) && getTokenText(btn).toLowerCase() === target);
+}
+
+// Handle match challenges: click each pair and check which ones Duolingo accepted
+async function submitMatchAnswer(answer, actionId) {
+    const timeToAnswer = getTimeToAnswer();
+    const pairs = parseMatchPairs(answer);
+    if (pairs.length === 0) {
+        logToPopup('error', 'Could not parse match pairs', { answer });
+        sendActionResult(actionId, false, 'Could not parse any pairs. Use the format "left=right; left=right".');
+        return;
+    }
+
+    const failedPairs = [];
+    for (const [pairIndex, pair] of pairs.entries()) {
+        // Tiles Duolingo has already matched can't be undone, so just stop pairing
+        if (answerStopRequested) {
+            logToPopup('warn', `Stopped the match answer after ${pairIndex} of ${pairs.length} pairs`, { actionId, reason: automationPauseReason });
+            sendActionResult(actionId, false, `Automation was stopped (${automationPauseReason}) after ${pairIndex} of ${pairs.length} pairs, the rest were not matched.`);
+            return;
+        }
+
+        // Re-query the columns every time since Duolingo re-renders tiles after each match
+        const columns = getMatchColumns();
+        if (!columns) {
+            failedPairs.push({ ...pair, reason: 'match challenge is no longer on screen' });
+            continue;
+        }
+
+        let leftTile = findMatchTile(columns.left, pair.left);
+        let rightTile = findMatchTile(columns.right, pair.right);
+
+        // Accept pairs given in right=left order as well
+        if (!leftTile && !rightTile) {
+            leftTile = findMatchTile(columns.left, pair.right);
+            rightTile = findMatchTile(columns.right, pair.left);
+        }
+
+        if (!leftTile || !rightTile) {
+            const missing = [!leftTile && pair.left, !rightTile && pair.right].filter(Boolean);
+            failedPairs.push({ ...pair, reason: `tile not found: ${missing.join(', ')}` });
+            continue;
+        }
+
+        leftTile.click();
+        await wait(MATCH_CLICK_DELAY);
+        rightTile.click();
+        await wait(MATCH_RESULT_DELAY);
+
+        if (!isMatchedTile(leftTile) || !isMatchedTile(rightTile)) {
+            failedPairs.push({ ...pair, reason: 'not accepted by Duolingo' });
+        }
+    }
+
+    updateLastAnswerSubmittedTime();
+
+    const matchedCount = pairs.length - failedPairs.length;
+    const remaining = extractQuestionContext();
+    logToPopup(failedPairs.length === 0 ? 'info' : 'warn', `Matched ${matchedCount}/${pairs.length} pairs`, { failedPairs });
+    sendAnswerOutcome(remaining.question, 'match', pairs, failedPairs.length === 0, null, timeToAnswer);
+
+    if (failedPairs.length === 0) {
+        sendActionResult(actionId, true, `Matched all ${pairs.length} pairs successfully`);
+    } else {
+        const failures = failedPairs.map(pair => `${pair.left}=${pair.right} (${pair.reason})`).join('; ');
+        sendActionResult(actionId, false, `Matched ${matchedCount}/${pairs.length} pairs. Failed: ${failures}. Remaining left: ${remaining.leftColumn.join(', ')}. Remaining right: ${remaining.rightColumn.join(', ')}.`);
+    }
+
+    // Once every tile is matched Duolingo moves on by itself, so prompt Neuro to continue
+    if (remaining.contextType !== 'match' || remaining.leftColumn.length === 0) {
+        setTimeout(() => {
+            forceNeuroToContinue();
+        }, 2000);
+    }
+}
+
+// Ask the background to wait another timeout ms, on top of the usual action timeout, for this action's result
+function extendActionTimeout(actionId, timeout) {
+    chrome.runtime.sendMessage({
+        type: 'neuro_action_extend',
+        data: {
+            id: actionId,
+            timeout: timeout
+        }
+    }).catch(() => {});
+}
+
+// Check whether the background still waits for this action's result (it doesn't once the action timed out)
+async function isActionStillPending(actionId) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'neuro_action_pending', data: { id: actionId } });
+        return Boolean(response && response.pending);
+    } catch (error) {
+        // A restarted background has already failed the actions it was tracking
+        return false;
+    }
+}
+
+// Give up on an answer in progress because automation was paused or Neuro shut the game down.
+// Check is not clicked; tapped tiles and typed text are taken back, but a selected choice stays
+// selected because Duolingo can't unselect it.
+function abortAnswer(actionId, contextType = null) {
+    if (contextType) {
+        clearPreviousSelections(contextType);
+    }
+    logToPopup('warn', 'Stopped the answer in progress before Check, it was not submitted', { actionId, reason: automationPauseReason, contextType });
+    sendActionResult(actionId, false, `Automation was stopped (${automationPauseReason}) before the answer was checked, so it was not submitted.`);
+}
+
 // Force Neuro to continue to the next question using the actions/force command
 function forceNeuroToContinue() {
     logToPopup('info', 'Forcing Neuro to continue to next question');
@@ -145,12 +403,12 @@ function forceNeuroToContinue() {
 }
 
 // Handle the submit_answer action from Neuro
-function submit_answer(parameters, actionId) {
+async function submit_answer(parameters, actionId) {
     console.log('submit_answer called with parameters:', parameters, 'actionId:', actionId);
     logToPopup('info', `Submitting answer for action ${actionId}`, { parameters });
     
     // The answer might be passed as a string directly, or as a property of an object.
-    const answer = (typeof parameters === 'string') ? parameters : parameters?.answer;
+    let answer = (typeof parameters === 'string') ? parameters : parameters?.answer;
     
     console.log('Extracted answer:', answer);
 
@@ -168,77 +426,127 @@ function submit_answer(parameters, actionId) {
             }
         }).catch(() => {});
         return;
-    }const { contextType, options, tokens } = extractQuestionContext();
+    }
+
+    // In approval mode the operator sees the proposed answer first and can edit or reject it
+    if (APPROVAL_MODE) {
+        const proposedFor = extractQuestionContext();
+        const decision = await requestAnswerApproval(actionId, answer, proposedFor.question, proposedFor.contextType);
+        if (!decision.approved) {
+            logToPopup('warn', `Answer rejected by ${decision.decidedBy}: ${decision.reason}`, { actionId });
+            sendActionResult(actionId, false, `The operator rejected the answer: ${decision.reason}`);
+            return;
+        }
+        answer = decision.answer;
+    }
+
+    // Automation may have been paused while the operator was deciding
+    if (answerStopRequested) {
+        abortAnswer(actionId);
+        return;
+    }
+
+    const { question, contextType, options, tokens } = extractQuestionContext();
     console.log('Question context:', { contextType, options, tokens });
+    sendAnswerSubmitted(actionId, parameters, answer, question, contextType);
+
+    // Match challenges are graded tile by tile and have no Check button
+    if (contextType === 'match') {
+        return submitMatchAnswer(answer, actionId);
+    }
     
     // Clear any previous selections before making new ones
     clearPreviousSelections(contextType);
     
-    switch (contextType) {        case 'choice':
+    // What the page should show once the answer has been entered, checked before clicking Check
+    let expectedSelection = null;
+    
+    switch (contextType) {        case 'choice': {
             console.log('Looking for answer:', answer, 'in options:', options);
-            // Find the choice that matches the answer (more flexible matching)
-            const targetOption = options.find(opt => {
-                const optionText = opt.text.toLowerCase().trim();
-                const answerText = answer.toLowerCase().trim();
-                // Check if the option text contains the answer, starts with it, or exact match
-                return optionText === answerText || 
-                       optionText.includes(answerText) || 
-                       optionText.startsWith(answerText) ||
-                       answerText.includes(optionText);
-            });
+            const match = matchAnswer(answer, options.map(opt => opt.text));
+            console.log('Answer match:', match);
             
-            console.log('Found target option:', targetOption);
+            // Rather than guess between near-equal options, hand the closest ones back to Neuro
+            if (match.ambiguous) {
+                const closest = match.candidates.slice(0, 3).map(candidate => `${candidate.index + 1}. ${candidate.text}`).join('; ');
+                logToPopup('warn', `Answer "${answer}" is ambiguous, not selecting an option`, { candidates: match.candidates });
+                sendActionResult(actionId, false, `"${answer}" matches several options about equally well: ${closest}. Answer with the option number or its exact text.`);
+                return;
+            }
             
-            if (targetOption) {
-                const allChoiceElements = Array.from(document.querySelectorAll('[data-test="challenge-choice"]'));
-                console.log('All choice elements:', allChoiceElements);
-                
-                const targetElement = allChoiceElements.find(el => {
-                    let elementText = el.innerText.toLowerCase().trim();
-                    // Clean up the element text the same way we clean context
-                    elementText = elementText.replace(/\n\d+$/, '').trim();
-                    elementText = elementText.replace(/^\d+\.\s*/, '').trim();
-                    
-                    const answerText = answer.toLowerCase().trim();
-                    return elementText === answerText || 
-                           elementText.includes(answerText) || 
-                           elementText.startsWith(answerText) ||
-                           answerText.includes(elementText);
-                });
-                
-                console.log('Found target element:', targetElement);
-                
-                if (targetElement) {
-                    console.log('Attempting to select element');
-                    forceSelectRadioOption(targetElement);
-                } else {
-                    console.error('Could not find element to click for answer:', answer);
-                }
+            // Options are extracted in page order, so the option index is also the element index
+            const allChoiceElements = Array.from(document.querySelectorAll('[data-test="challenge-choice"]'));
+            const targetElement = match.index !== null ? allChoiceElements[match.index] : null;
+            if (targetElement) {
+                console.log('Attempting to select element');
+                forceSelectRadioOption(targetElement);
+                expectedSelection = options[match.index].text;
             } else {
                 console.error('Could not find matching option for answer:', answer);
             }
             break;
+        }
             
-        case 'tap':
-            // For tap challenges, click the tokens that match the answer
-            const answerTokens = answer.split(',').map(t => t.trim());
-            answerTokens.forEach(token => {
-                const tokenButton = tokens.find(btn => btn.innerText.trim().toLowerCase() === token.toLowerCase());
-                if (tokenButton) {
-                    tokenButton.click();
-                }
-            });
+        case 'tap': {
+            // For tap challenges, click the requested tiles in order
+            const tapResult = await tapAnswerTokens(parseTapAnswer(answer));
+            if (tapResult.stopped) {
+                abortAnswer(actionId, contextType);
+                return;
+            }
+            if (!tapResult.ok) {
+                logToPopup('error', 'Could not tap the answer tiles', tapResult);
+                sendActionResult(actionId, false, tapResult.message);
+                return;
+            }
+            expectedSelection = tapResult.tapped;
             break;
+        }
             
-        case 'text':
-            // For text input, type the answer
+        case 'text': {
+            // For text input, type the answer with real input events so Duolingo's React state picks it up
             const textInput = document.querySelector('input[data-test="challenge-text-input"], textarea[data-test="challenge-translate-input"]');
             if (textInput) {
-                textInput.value = answer;
-                // Dispatch an input event to ensure React components update
-                textInput.dispatchEvent(new Event('input', { bubbles: true }));
+                // Typing at a human pace can outlast the action timeout, so extend it by the longest the typing can take
+                if (TYPING_DELAY > 0) {
+                    extendActionTimeout(actionId, Math.ceil(String(answer).length * TYPING_DELAY * 1.5) + 1000);
+                }
+                const typed = await typeIntoInput(textInput, String(answer), TYPING_DELAY, () => answerStopRequested, isCheckButtonEnabled);
+                if (answerStopRequested) {
+                    abortAnswer(actionId, contextType);
+                    return;
+                }
+                if (!typed) {
+                    logToPopup('warn', 'Duolingo did not pick up the typed answer', { answer, value: textInput.value });
+                }
             }
-            break;    }    // After handling the action, click the submit button
+            expectedSelection = String(answer);
+            break;
+        }
+    }
+
+    // Give Duolingo a moment to re-render, then make sure the page shows what Neuro asked for
+    await wait(VERIFY_SELECTION_DELAY);
+    if (answerStopRequested) {
+        abortAnswer(actionId, contextType);
+        return;
+    }
+    const verification = verifyAnswerSelection(contextType, answer, expectedSelection);
+    if (!verification.ok) {
+        logToPopup('error', 'Answer verification failed, not checking answer', verification);
+        sendActionResult(actionId, false, verification.message);
+        return;
+    }
+
+    // If the action timed out meanwhile, Neuro was already told it failed, so don't submit it anyway.
+    // Whatever can be taken back is cleared; a selected choice stays but is not checked.
+    if (!(await isActionStillPending(actionId))) {
+        clearPreviousSelections(contextType);
+        logToPopup('warn', 'The action timed out before the answer was checked, not submitting it', { actionId });
+        return;
+    }
+
+    // After handling the action, click the submit button
     const submitButton = document.querySelector('[data-test="player-next"]');
     if (submitButton) {
         submitButton.click();
@@ -247,25 +555,158 @@ function submit_answer(parameters, actionId) {
         // Update the last answer submitted time in main.js
         updateLastAnswerSubmittedTime();
         
-        // Force Neuro to continue to next question after answer submission
-        setTimeout(() => {
-            forceNeuroToContinue();
-        }, 2000); // Wait 2 seconds for the answer to be processed
+        // Wait for Duolingo to grade the answer before reporting back to Neuro
+        await reportAnswerOutcome(answer, question, contextType, actionId, getTimeToAnswer());
     } else {
         logToPopup('warn', 'Submit button not found after selecting answer');
+        sendActionResult(actionId, false, 'Submit button not found after selecting answer');
     }
-    
-    // Send success result back to Neuro
+}
+
+// Check whether Duolingo has enabled the Check button, which it does once an answer is entered
+function isCheckButtonEnabled() {
+    const button = document.querySelector('[data-test="player-next"]');
+    return Boolean(button) && button.getAttribute('aria-disabled') !== 'true' && !button.disabled;
+}
+
+// Compare the page state after selection with the answer Neuro asked for.
+// Returns {ok, message}; the message lists what is available so Neuro can retry.
+function verifyAnswerSelection(contextType, answer, expectedSelection) {
+    const context = extractQuestionContext();
+    const normalize = text => String(text).toLowerCase().trim();
+    const answerText = Array.isArray(answer) ? answer.join(', ') : String(answer);
+
+    switch (contextType) {
+        case 'choice': {
+            const available = context.options.map((opt, index) => `${index + 1}. ${opt.text}`).join('; ');
+            if (expectedSelection === null) {
+                return { ok: false, message: `No option matches "${answerText}". Available options: ${available}` };
+            }
+            if (context.selectedOption === null || normalize(context.selectedOption) !== normalize(expectedSelection)) {
+                return {
+                    ok: false,
+                    message: `Tried to select "${expectedSelection}" but the page shows ${context.selectedOption ? `"${context.selectedOption}"` : 'no option'} selected. Available options: ${available}`
+                };
+            }
+            // Duolingo only enables Check once its own state holds a selection, so an ignored click shows here
+            if (!isCheckButtonEnabled()) {
+                return {
+                    ok: false,
+                    message: `Tried to select "${expectedSelection}" but Duolingo did not register the selection (Check is still disabled). Available options: ${available}`
+                };
+            }
+            return { ok: true, message: `Selected "${context.selectedOption}"` };
+        }
+
+        case 'tap': {
+            const tapped = context.selectedTokens.map(normalize);
+            const expected = expectedSelection.map(normalize);
+            const matches = tapped.length === expected.length && tapped.every((token, index) => token === expected[index]);
+            if (!matches) {
+                return {
+                    ok: false,
+                    message: `Tried to tap [${expectedSelection.join(', ')}] but the page shows [${context.selectedTokens.join(', ')}]. Available tokens: ${context.tokens.join(', ')}`
+                };
+            }
+            return { ok: true, message: `Tapped [${context.selectedTokens.join(', ')}]` };
+        }
+
+        case 'text':
+            if (context.textInputValue !== expectedSelection) {
+                return {
+                    ok: false,
+                    message: `Tried to type "${expectedSelection}" but the text field contains "${context.textInputValue}"`
+                };
+            }
+            // The field can show the text while Duolingo's state never got it
+            if (!isCheckButtonEnabled()) {
+                return {
+                    ok: false,
+                    message: `Typed "${expectedSelection}" but Duolingo did not register it (Check is still disabled)`
+                };
+            }
+            return { ok: true, message: `Typed "${context.textInputValue}"` };
+
+        default:
+            return { ok: false, message: `No answerable question found on the page (context type: ${contextType})` };
+    }
+}
+
+// Poll for Duolingo's grading banner after an answer was checked
+async function waitForAnswerFeedback(timeout = FEEDBACK_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const feedback = extractAnswerFeedback();
+        if (feedback) {
+            return feedback;
+        }
+        await wait(FEEDBACK_POLL_INTERVAL);
+    }
+    return null;
+}
+
+// How long the current question was on screen before it was answered
+function getTimeToAnswer() {
+    return questionDetectedTime ? Date.now() - questionDetectedTime : null;
+}
+
+// Send a graded answer to the background so it is logged and stored in the answer history
+function sendAnswerOutcome(question, contextType, answer, correct, correctSolution, timeToAnswer) {
     chrome.runtime.sendMessage({
-        type: 'neuro_action_result',
+        type: 'neuro_answer_outcome',
+        data: {
+            question: question,
+            contextType: contextType,
+            answer: answer,
+            correct: correct,
+            correctSolution: correctSolution,
+            timeToAnswer: timeToAnswer,
+            lessonId: lessonId
+        }
+    }).catch(() => {});
+}
+
+// Tell the background which answer Neuro submitted, for the popup's question panel
+function sendAnswerSubmitted(actionId, parameters, answer, question, contextType) {
+    chrome.runtime.sendMessage({
+        type: 'neuro_answer_submitted',
         data: {
             id: actionId,
-            success: true,
-            message: 'Answer submitted successfully'
+            parameters: parameters,
+            answer: answer,
+            question: question,
+            contextType: contextType
         }
     }).catch(() => {});
 }
 
+// Report the graded outcome of a submitted answer to Neuro as context and as the action result
+async function reportAnswerOutcome(answer, question, contextType, actionId, timeToAnswer) {
+    const feedback = await waitForAnswerFeedback();
+    const answerText = Array.isArray(answer) ? answer.join(', ') : String(answer);
+
+    if (!feedback) {
+        logToPopup('warn', 'No grading feedback detected after submitting answer', { answer: answerText });
+        sendActionResult(actionId, true, 'Answer submitted, but Duolingo did not show whether it was correct');
+    } else {
+        const outcome = feedback.correct ? 'correct' : 'incorrect';
+        let message = `Your answer "${answerText}" was ${outcome}.`;
+        if (!feedback.correct && feedback.correctSolution) {
+            message += ` Correct solution: ${feedback.correctSolution}`;
+        }
+
+        logToPopup(feedback.correct ? 'info' : 'warn', `Answer graded ${outcome}`, feedback);
+        sendAnswerOutcome(question, contextType, answer, feedback.correct, feedback.correctSolution, timeToAnswer);
+
+        sendContext(message, true);
+        // A wrong answer was still submitted, so the action succeeded; the grade travels in the message
+        sendActionResult(actionId, true, message);
+    }
+
+    // Force Neuro to continue to next question after the answer was graded
+    forceNeuroToContinue();
+}
+
 // Handle the continue_lesson action from Neuro
 function continue_lesson(actionId) {
     const continueButton = document.querySelector('[data-test="player-next"]');
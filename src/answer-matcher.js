@@ -0,0 +1,104 @@
+// src/answer-matcher.js
+
+console.log('Neuro-Duolingo answer-matcher.js loaded');
+
+const MATCH_MIN_SCORE = 0.6; // Candidates scoring below this never count as a match
+const MATCH_AMBIGUITY_MARGIN = 0.1; // The best candidate must beat the runner-up by this much
+
+// Lowercase, strip accents and punctuation, and collapse whitespace so "¿Qué?" and "que" compare equal
+function normalizeAnswerText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Show an answer as text: match pairs as "left=right; left=right", other lists comma separated.
+// The popup loads this file too, to show answers the same way.
+function formatAnswerText(answer) {
+    if (Array.isArray(answer)) {
+        if (answer.some(item => item && typeof item === 'object')) {
+            return answer.map(pair => `${pair.left}=${pair.right}`).join('; ');
+        }
+        return answer.join(', ');
+    }
+    return String(answer);
+}
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Score how well a normalized answer fits a normalized candidate, from 0 (nothing in common) to 1 (exact)
+function scoreAnswerCandidate(answer, candidate) {
+    if (answer === candidate) {
+        return 1;
+    }
+    if (!answer || !candidate) {
+        return 0;
+    }
+
+    // Shared words over the longer word count, so a one-word answer like "a" can't claim "a girl"
+    const answerWords = new Set(answer.split(' '));
+    const candidateWords = new Set(candidate.split(' '));
+    const shared = Array.from(answerWords).filter(word => candidateWords.has(word)).length;
+    const tokenOverlap = shared / Math.max(answerWords.size, candidateWords.size);
+
+    // Spelling similarity catches typos and small wording differences
+    const editSimilarity = 1 - editDistance(answer, candidate) / Math.max(answer.length, candidate.length);
+
+    // Never let a fuzzy score tie with an exact match
+    return Math.min(0.99, Math.max(tokenOverlap, editSimilarity));
+}
+
+// Pick the candidate (option text) Neuro meant. The answer may also be a 1-based option number,
+// as the options are numbered in the context sent to Neuro.
+// Returns { index, score, ambiguous, candidates }: index is null when nothing matches well enough
+// or when the top candidates are too close to call (ambiguous), and candidates are sorted best first.
+function matchAnswer(answer, candidates) {
+    const normalizedAnswer = normalizeAnswerText(answer);
+    const scored = candidates
+        .map((text, index) => ({ index, text, score: scoreAnswerCandidate(normalizedAnswer, normalizeAnswerText(text)) }))
+        .sort((a, b) => b.score - a.score);
+
+    const result = (index, score, ambiguous) => ({ index, score, ambiguous, candidates: scored });
+
+    // An option whose text is exactly the answer wins, even over an option number
+    const exact = scored.filter(candidate => candidate.score === 1);
+    if (exact.length === 1) {
+        return result(exact[0].index, 1, false);
+    }
+    if (exact.length > 1) {
+        return result(null, 1, true);
+    }
+
+    const optionNumber = String(answer).trim().match(/^(\d+)\.?$/);
+    if (optionNumber) {
+        const index = parseInt(optionNumber[1], 10) - 1;
+        if (index >= 0 && index < candidates.length) {
+            return result(index, 1, false);
+        }
+    }
+
+    const [best, runnerUp] = scored;
+    if (!best || best.score < MATCH_MIN_SCORE) {
+        return result(null, best ? best.score : 0, false);
+    }
+    if (runnerUp && runnerUp.score >= MATCH_MIN_SCORE && best.score - runnerUp.score < MATCH_AMBIGUITY_MARGIN) {
+        return result(null, best.score, true);
+    }
+    return result(best.index, best.score, false);
+}
@@ -0,0 +1,167 @@
+// src/approval.js
+
+console.log('Neuro-Duolingo approval.js loaded');
+
+// Approval settings: these defaults mirror CONFIG and are replaced by the options page values
+let APPROVAL_MODE = false; // When on, submit_answer waits for the operator before entering an answer
+let APPROVAL_TIMEOUT = 30000; // How long to wait for the operator's decision
+let APPROVAL_TIMEOUT_ACTION = 'reject'; // What happens when the operator doesn't decide in time
+
+let pendingApproval = null; // { actionId, answer, answerText, contextType, resolve, timer, element } while an answer waits for the operator
+
+// Turn the operator's edited answer text back into the shape submit_answer expects for the challenge:
+// match pairs from "left=right; left=right", tap tiles from a comma separated list (numbers pick tiles)
+function parseEditedAnswer(text, contextType) {
+    switch (contextType) {
+        case 'match':
+            return parseMatchPairs(text);
+        case 'tap':
+            return parseTapAnswer(text).map(item => (/^\d+$/.test(item) ? parseInt(item, 10) : item));
+        default:
+            return text;
+    }
+}
+
+// Show Neuro's proposed answer to the operator and wait for a decision.
+// Resolves with { approved, answer, reason, decidedBy }. The answer is Neuro's original one,
+// structure included, unless the operator edited the text; then the edit replaces it.
+function requestAnswerApproval(actionId, answer, question, contextType) {
+    // Only one answer can wait at a time; a newer proposal replaces the older one
+    if (pendingApproval) {
+        resolveApproval(pendingApproval.actionId, { approved: false, reason: 'Replaced by a newer answer from Neuro' }, 'extension');
+    }
+
+    const answerText = formatAnswerText(answer);
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            const approved = APPROVAL_TIMEOUT_ACTION === 'approve';
+            logToPopup('warn', `No approval decision within ${Math.round(APPROVAL_TIMEOUT / 1000)} seconds, ${approved ? 'approving' : 'rejecting'} the answer`, { actionId });
+            resolveApproval(actionId, {
+                approved,
+                answer: answerText,
+                reason: 'The operator did not decide before the approval timeout'
+            }, 'timeout');
+        }, APPROVAL_TIMEOUT);
+
+        pendingApproval = {
+            actionId,
+            answer,
+            answerText,
+            contextType,
+            resolve,
+            timer,
+            element: showApprovalOverlay(actionId, answerText, question, contextType)
+        };
+
+        logToPopup('info', `Waiting for the operator to approve answer "${answerText}"`, { actionId, contextType });
+        chrome.runtime.sendMessage({
+            type: 'neuro_approval_request',
+            data: {
+                id: actionId,
+                answer: answerText,
+                question: question,
+                contextType: contextType,
+                timeout: APPROVAL_TIMEOUT,
+                timeoutAction: APPROVAL_TIMEOUT_ACTION
+            }
+        }).catch(() => {});
+    });
+}
+
+// Finish the pending approval with the operator's decision. Decisions for any other action id are ignored,
+// which covers the overlay and the popup both answering the same proposal.
+function resolveApproval(actionId, decision, decidedBy) {
+    if (!pendingApproval || pendingApproval.actionId !== actionId) {
+        return false;
+    }
+
+    const { answer, answerText, contextType, resolve, timer, element } = pendingApproval;
+    pendingApproval = null;
+    clearTimeout(timer);
+    element.remove();
+
+    // Keep Neuro's structured answer unless the operator actually changed the text
+    const editedText = decision.answer === undefined || decision.answer === null ? '' : String(decision.answer).trim();
+    const finalAnswer = !editedText || editedText === answerText ? answer : parseEditedAnswer(editedText, contextType);
+
+    chrome.runtime.sendMessage({
+        type: 'neuro_approval_resolved',
+        data: {
+            id: actionId,
+            approved: decision.approved,
+            answer: formatAnswerText(finalAnswer),
+            reason: decision.reason,
+            decidedBy: decidedBy
+        }
+    }).catch(() => {});
+
+    resolve({ ...decision, answer: finalAnswer, decidedBy });
+    return true;
+}
+
+// Reject whatever answer is waiting, e.g. when Neuro shuts the game down
+function cancelPendingApproval(reason) {
+    if (pendingApproval) {
+        resolveApproval(pendingApproval.actionId, { approved: false, reason }, 'extension');
+    }
+}
+
+// Build the on-page approval box with an editable answer and a rejection reason
+function showApprovalOverlay(actionId, answerText, question, contextType) {
+    const overlay = document.createElement('div');
+    overlay.className = 'neuro-status neuro-approval';
+
+    const title = document.createElement('div');
+    title.className = 'neuro-approval-title';
+    title.textContent = 'Neuro wants to answer:';
+
+    const questionEl = document.createElement('div');
+    questionEl.className = 'neuro-approval-question';
+    questionEl.textContent = question;
+
+    const answerInput = document.createElement('input');
+    answerInput.type = 'text';
+    answerInput.value = answerText;
+    if (contextType === 'match') {
+        answerInput.title = 'Pairs as left=right; left=right';
+    } else if (contextType === 'tap') {
+        answerInput.title = 'Tiles in order, comma separated; a number picks that tile';
+    }
+
+    const reasonInput = document.createElement('input');
+    reasonInput.type = 'text';
+    reasonInput.placeholder = 'Reason for rejecting (optional)';
+
+    const approveButton = document.createElement('button');
+    approveButton.textContent = 'Approve';
+    approveButton.addEventListener('click', () => {
+        resolveApproval(actionId, { approved: true, answer: answerInput.value.trim() || answerText }, 'overlay');
+    });
+
+    const rejectButton = document.createElement('button');
+    rejectButton.textContent = 'Reject';
+    rejectButton.addEventListener('click', () => {
+        resolveApproval(actionId, { approved: false, reason: reasonInput.value.trim() || 'No reason given' }, 'overlay');
+    });
+
+    const countdown = document.createElement('div');
+    countdown.className = 'neuro-approval-countdown';
+    const deadline = Date.now() + APPROVAL_TIMEOUT;
+    const updateCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        countdown.textContent = `${APPROVAL_TIMEOUT_ACTION === 'approve' ? 'Approving' : 'Rejecting'} automatically in ${seconds}s`;
+        if (seconds > 0 && overlay.isConnected) {
+            setTimeout(updateCountdown, 1000);
+        }
+    };
+
+    const buttons = document.createElement('div');
+    buttons.className = 'neuro-approval-buttons';
+    buttons.append(approveButton, rejectButton);
+
+    overlay.append(title, questionEl, answerInput, reasonInput, buttons, countdown);
+    document.body.appendChild(overlay);
+    updateCountdown();
+    return overlay;
+}
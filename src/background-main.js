@@ -2,243 +2,108 @@
 // Main background script that initializes and coordinates all modules
 
 import { Logger } from './logger.js';
+import { PopupManager } from './popup-manager.js';
 import { NeuroConnection } from './neuro-connection.js';
 import { MessageHandler } from './message-handler.js';
-
-// Import PopupManager - note: can't use ES6 import for classes in service workers yet
-// So we'll include it inline or use a different approach
+import { HistoryStore } from './history-store.js';
+import { Settings } from './settings.js';
+import { TabArbiter } from './tab-arbiter.js';
+import { PendingActions } from './pending-actions.js';
+import { KeepAlive } from './keepalive.js';
 
 class BackgroundService {
     constructor() {
-        this.popupManager = this.createPopupManager();
+        this.popupManager = new PopupManager();
+        // Bring back the log and status from before the service worker was suspended
+        this.popupManager.restore();
         this.connection = new NeuroConnection(this.popupManager);
+        this.tabArbiter = new TabArbiter(this.connection, this.popupManager);
+        // Replay a remembered question after a reconnect only while its tab still shows it
+        this.connection.confirmQuestion = (questionContext) => this.tabArbiter.isQuestionCurrent(questionContext);
+        this.pendingActions = new PendingActions(this.connection, this.popupManager);
+        this.keepAlive = new KeepAlive(this.connection);
         this.setupMessageListeners();
         this.initialize();
     }
 
-    createPopupManager() {
-        // Since we can't import the class directly in service workers,
-        // we'll create a simplified version here that matches the interface
-        return {
-            logCache: [],
-            statusCache: {
-                neuroConnected: false,
-                duolingoActive: false,
-                lastEventTime: null,
-                lastEventType: 'None'
-            },
-            maxCacheSize: 200,
-            isPopupOpen: false,
-            popupPorts: new Set(),
-
-            // Setup popup connection listeners
-            setupPopupListeners: function() {
-                chrome.runtime.onConnect.addListener((port) => {
-                    if (port.name === 'popup') {
-                        this.isPopupOpen = true;
-                        this.popupPorts.add(port);
-                        console.log('Popup opened');
-                        
-                        // Send cached data to newly opened popup
-                        this.sendCachedData(port);
-                        
-                        port.onDisconnect.addListener(() => {
-                            this.popupPorts.delete(port);
-                            this.isPopupOpen = this.popupPorts.size > 0;
-                            console.log('Popup closed');
-                        });
-                    }
-                });
-            },
-
-            sendCachedData: function(port) {
-                // Send current status
-                port.postMessage({
-                    type: 'status_update',
-                    data: this.statusCache
-                });
-
-                // Send all cached log entries
-                this.logCache.forEach(logEntry => {
-                    port.postMessage({
-                        type: 'cached_log',
-                        data: logEntry
-                    });
-                });
-            },
-
-            addLogEntry: function(logData) {
-                const logEntry = {
-                    timestamp: new Date().toISOString(),
-                    level: logData.level || 'info',
-                    message: logData.message,
-                    data: logData.data,
-                    source: logData.source || 'system'
-                };
-
-                // Add to cache
-                this.logCache.push(logEntry);
-
-                // Trim cache if it exceeds max size
-                if (this.logCache.length > this.maxCacheSize) {
-                    this.logCache = this.logCache.slice(-this.maxCacheSize);
-                }
-
-                // If popup is open, send immediately
-                if (this.isPopupOpen) {
-                    this.broadcastToPopup({
-                        type: 'new_log',
-                        data: logEntry
-                    });
-                }
-
-                return logEntry;
-            },
-
-            updateStatus: function(statusUpdate) {
-                // Update cached status
-                Object.assign(this.statusCache, statusUpdate);
-
-                // If popup is open, broadcast update
-                if (this.isPopupOpen) {
-                    this.broadcastToPopup({
-                        type: 'status_update',
-                        data: this.statusCache
-                    });
-                }
-            },
-
-            updateLastEvent: function(eventType, eventTime = new Date()) {
-                this.statusCache.lastEventTime = eventTime.toISOString();
-                this.statusCache.lastEventType = eventType;
-
-                if (this.isPopupOpen) {
-                    this.broadcastToPopup({
-                        type: 'status_update',
-                        data: this.statusCache
-                    });
-                }
-            },
-
-            broadcastToPopup: function(message) {
-                // Send message to all popup connections
-                this.popupPorts.forEach(port => {
-                    try {
-                        port.postMessage(message);
-                    } catch (error) {
-                        console.warn('Failed to send message to popup port:', error);
-                        this.popupPorts.delete(port);
-                    }
-                });
-            },
-
-            // Convenience logging methods
-            logInfo: function(message, data = null) {
-                return this.addLogEntry({
-                    level: 'info',
-                    message,
-                    data,
-                    source: 'system'
-                });
-            },
-
-            logWarn: function(message, data = null) {
-                return this.addLogEntry({
-                    level: 'warn',
-                    message,
-                    data,
-                    source: 'system'
-                });
-            },            logError: function(message, data = null) {
-                return this.addLogEntry({
-                    level: 'error',
-                    message,
-                    data,
-                    source: 'system'
-                });
-            },
-
-            logDebug: function(message, data = null) {
-                return this.addLogEntry({
-                    level: 'debug',
-                    message,
-                    data,
-                    source: 'system'
-                });
-            },
-
-            logNeuroConnection: function(connected) {
-                this.statusCache.neuroConnected = connected;
-                this.addLogEntry({
-                    level: connected ? 'info' : 'warn',
-                    message: `Neuro connection: ${connected ? 'Connected' : 'Disconnected'}`,
-                    source: 'neuro'
-                });
-                this.updateLastEvent(`Neuro ${connected ? 'Connected' : 'Disconnected'}`);
-            },
-
-            logDuolingoActivity: function(active) {
-                this.statusCache.duolingoActive = active;
-                this.addLogEntry({
-                    level: 'info',
-                    message: `Duolingo: ${active ? 'Active' : 'Not Detected'}`,
-                    source: 'duolingo'
-                });
-            },
-
-            logContext: function(contextData, challengeType = 'Unknown') {
-                this.addLogEntry({
-                    level: 'info',
-                    message: `Context extracted - ${challengeType}`,
-                    data: contextData,
-                    source: 'context'
-                });
-                this.updateLastEvent(`Context (${challengeType})`);
-            },
-
-            logActionResult: function(resultData) {
-                const success = resultData.success;
-                const status = success ? 'SUCCESS' : 'FAILED';
-                
-                this.addLogEntry({
-                    level: success ? 'info' : 'error',
-                    message: `Action ${status} - ID: ${resultData.id}`,
-                    data: resultData,
-                    source: 'action'
-                });
-                this.updateLastEvent(`Action (${status})`);
-            }
-        };
-    }
-
     initialize() {
         Logger.info('Background service initializing...');
-        this.popupManager.setupPopupListeners();
+        this.popupManager.setupPopupListeners((message, sender, sendResponse) => {
+            // Control panel buttons in the popup use the same handlers as runtime messages
+            MessageHandler.handleRuntimeMessage(message, sender, sendResponse, this.connection, this.popupManager, this.tabArbiter, this.pendingActions);
+        });
         this.popupManager.logInfo('Background service initializing...');
         
-        this.connection.connect();
+        // Show the stored accuracy summary right away
+        HistoryStore.getSummary()
+            .then(summary => this.popupManager.updateStatus({ historySummary: summary }))
+            .catch(error => Logger.warn('Could not load answer history:', error));
+        
+        // Connect only once the stored settings (such as the Neuro API URL) are applied
+        // and any session left by a suspended service worker has been restored
+        Settings.load()
+            .catch(error => Logger.warn('Could not load settings, using defaults:', error))
+            .then(() => this.recoverSession())
+            .then(() => this.connection.connect());
+
+        this.keepAlive.start();
         
         Logger.info('Background service initialized');
         this.popupManager.logInfo('Background service initialized');
+    }
+
+    // chrome.storage.session outlives the service worker but not the browser, so finding a saved
+    // session here means Chrome suspended and restarted the worker
+    async recoverSession() {
+        try {
+            const restored = await this.connection.restoreSession();
+            const failedActions = await this.pendingActions.recoverAfterRestart();
+            if (restored || failedActions > 0) {
+                Logger.info('Service worker restarted, restoring the Neuro session');
+                this.popupManager.logWarn('Service worker restarted, restoring the Neuro session', {
+                    registeredActions: this.connection.registeredActions.size,
+                    hasQuestionContext: Boolean(this.connection.lastQuestionContext),
+                    failedActions
+                });
+            }
+        } catch (error) {
+            Logger.warn('Could not restore the previous session:', error);
+        }
     }    setupMessageListeners() {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             // Log incoming messages through PopupManager
             this.popupManager.logInfo(`Received message: ${message.type}`, { message, senderId: sender.id });
-            return MessageHandler.handleRuntimeMessage(message, sender, sendResponse, this.connection, this.popupManager);
+            return MessageHandler.handleRuntimeMessage(message, sender, sendResponse, this.connection, this.popupManager, this.tabArbiter, this.pendingActions);
         });
 
         // Handle messages from the WebSocket connection
         self.addEventListener('neuro-message', (event) => {
             const { msg, connection } = event.detail;
             this.popupManager.logInfo('Processing Neuro message', { messageType: msg.type });
-            MessageHandler.process(msg, connection, this.popupManager);
+            MessageHandler.process(msg, connection, this.popupManager, this.tabArbiter, this.pendingActions);
+        });
+
+        // Track which Duolingo tab owns the lesson so actions reach exactly one tab
+        this.tabArbiter.setupListeners();
+
+        // Make sure every forwarded action gets exactly one result, even if its tab goes away
+        this.pendingActions.setupListeners();
+
+        // Bring the worker back after Chrome suspends it so the Neuro connection is restored
+        this.keepAlive.setupListeners();
+
+        // Pick up changes made on the options page without reloading the extension
+        Settings.watch((changedKeys) => {
+            Logger.info('Settings changed', changedKeys);
+            this.popupManager.logInfo('Settings changed', { changedKeys });
+            this.connection.handleSettingsChange(changedKeys);
         });
 
-        // Handle extension lifecycle events
+        // Handle extension lifecycle events. The constructor has already initialized this worker, and
+        // initializing again would add a second popup listener and a second Neuro connection.
         chrome.runtime.onStartup.addListener(() => {
             Logger.info('Extension startup detected');
             this.popupManager.logInfo('Extension startup detected');
-            this.initialize();
         });
 
         chrome.runtime.onInstalled.addListener((details) => {
@@ -252,6 +117,7 @@ class BackgroundService {
             if (changeInfo.status === 'complete' && tab.url && tab.url.includes('duolingo.com')) {
                 Logger.info(`Duolingo tab loaded: ${tab.url}`);
                 this.popupManager.logDuolingoActivity(true);
+                this.tabArbiter.resolveOwner().catch(() => {});
                 
                 // Optionally register actions when a Duolingo tab loads
                 setTimeout(() => {
@@ -1,5 +1,6 @@
 // src/config.js
 // Configuration constants for the extension
+// Connection and timing values are defaults; the options page can override them (see settings.js)
 
 export const CONFIG = {
     NEURO_WS_URL: 'ws://localhost:8000',
@@ -7,7 +8,26 @@ export const CONFIG = {
     RECONNECT_INTERVAL: 10000, // 10 seconds
     MAX_RECONNECT_INTERVAL: 60000, // 1 minute
     MAX_RECONNECT_ATTEMPTS: 5,
-    HEARTBEAT_INTERVAL: 15000 // 15 seconds
+    HEARTBEAT_INTERVAL: 15000, // 15 seconds
+    KEEPALIVE_PING_INTERVAL: 20000, // Longest silence on the socket; Chrome suspends a service worker after 30 seconds without events
+    KEEPALIVE_ALARM_PERIOD: 0.5, // Minutes between alarm wakeups that bring a suspended worker back (30 seconds is Chrome's minimum)
+    MAX_HISTORY_ENTRIES: 5000, // Answer history entries kept in chrome.storage.local
+    SHUTDOWN_TIMEOUT: 15000, // Longest a graceful shutdown waits for the Duolingo tabs before acknowledging
+    OUTBOUND_QUEUE_SIZE: 50, // Messages held for Neuro while disconnected
+    FORCE_ACTION_TTL: 30000, // Queued actions/force messages are dropped after 30 seconds
+    ACTION_TIMEOUT: 30000, // Fail an action that gets no result from the Duolingo tab within 30 seconds
+
+    // Content script timing, used by src/main.js
+    DEBOUNCE_DELAY: 1000, // Minimum delay between context messages in ms
+    CONTEXT_CHANGE_THRESHOLD: 5000, // Don't send similar context within 5 seconds
+    ANSWER_COOLDOWN_PERIOD: 3000, // Wait 3 seconds after answer submission before sending new context
+    ACTION_REGISTRATION_THRESHOLD: 10000, // Don't register actions more often than every 10 seconds
+    TYPING_DELAY: 0, // Average ms between typed characters of a text answer; 0 types instantly
+
+    // Human-in-the-loop approval, used by src/approval.js
+    APPROVAL_MODE: false, // Ask the operator to approve, edit or reject each answer before it is entered
+    APPROVAL_TIMEOUT: 30000, // Time the operator has to decide
+    APPROVAL_TIMEOUT_ACTION: 'reject' // What happens to the answer when the operator doesn't decide in time
 };
 
 export const NOTIFICATION_IDS = {
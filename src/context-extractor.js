@@ -2,6 +2,48 @@
 
 console.log('Neuro-Duolingo context-extractor.js loaded');
 
+// Helper: Read the visible text of a tap/match token, ignoring keyboard hint numbers
+function getTokenText(button) {
+    const textElement = button.querySelector('[data-test="challenge-tap-token-text"]');
+    let text = (textElement || button).innerText.trim();
+    text = text.replace(/^\d+\n/, '').trim(); // Remove leading keyboard hint number
+    text = text.replace(/\n.*$/, '').trim(); // Remove anything after newline
+    return text;
+}
+
+// Helper: Check whether Duolingo has locked a match tile as already matched
+function isMatchedTile(button) {
+    return button.getAttribute('aria-disabled') === 'true' || button.disabled === true;
+}
+
+// Helper: The word bank tiles of a tap challenge, in page order.
+// Copies of tapped tiles inside the answer area are left out.
+function getTapBankButtons() {
+    return Array.from(document.querySelectorAll('[data-test$="-challenge-tap-token"]'))
+        .filter(button => !button.closest('[data-test="challenge-tapped-tokens-container"]'));
+}
+
+// Helper: The tiles already tapped into the answer area, in answer order
+function getTappedTokenButtons() {
+    return Array.from(document.querySelectorAll('[data-test="challenge-tapped-tokens-container"] [data-test$="-challenge-tap-token"]'));
+}
+
+// Helper: Split the tiles of a "match the pairs" challenge into its two columns.
+// Duolingo renders the whole left column before the right one, so DOM order is enough.
+function getMatchColumns() {
+    const container = document.querySelector('[data-test~="challenge-match"], [data-test~="challenge-listenMatch"]');
+    if (!container) {
+        return null;
+    }
+
+    const tiles = Array.from(container.querySelectorAll('[data-test$="-challenge-tap-token"]'));
+    const half = Math.ceil(tiles.length / 2);
+    return {
+        left: tiles.slice(0, half),
+        right: tiles.slice(half)
+    };
+}
+
 // Helper: Extract question and answer tokens from the page (for different challenge types)
 function extractQuestionContext() {    // Try to find the question prompt
     const header = document.querySelector('[data-test="challenge-header"]');
@@ -13,29 +55,32 @@ function extractQuestionContext() {    // Try to find the question prompt
     let selectedTokens = [];
     let textInputValue = '';
     let isAudioQuestion = false;
+    let leftColumn = [];
+    let rightColumn = [];
+    let matchedTokens = [];
     
     // Check if this is an audio question
     const audioButton = document.querySelector('[data-test="player-button"]');
     if (audioButton || question.toLowerCase().includes('what do you hear') || question.toLowerCase().includes('listen')) {
         isAudioQuestion = true;
     }
-      // Check for tap challenge
-    const tapTokenButtons = Array.from(document.querySelectorAll('[data-test$="-challenge-tap-token"]'));
-    if (tapTokenButtons.length > 0) {
-        tokens = tapTokenButtons.map(btn => {
-            let text = btn.innerText.trim();
-            // Clean up token text by removing extra formatting
-            text = text.replace(/\n.*$/, '').trim(); // Remove anything after newline
-            return text;
-        });
+      // Check for match challenge (its tiles also look like tap tokens, so test it first)
+    const matchColumns = getMatchColumns();
+    const tapTokenButtons = getTapBankButtons();
+    if (matchColumns) {
+        // Only list tiles that still need a partner; matched ones are reported separately
+        leftColumn = matchColumns.left.filter(btn => !isMatchedTile(btn)).map(getTokenText);
+        rightColumn = matchColumns.right.filter(btn => !isMatchedTile(btn)).map(getTokenText);
+        matchedTokens = matchColumns.left.concat(matchColumns.right)
+            .filter(isMatchedTile)
+            .map(getTokenText);
+
+        contextType = 'match';
+    } else if (tapTokenButtons.length > 0) {
+        tokens = tapTokenButtons.map(getTokenText);
         
-        // Get selected tokens (those that have been clicked)
-        const selectedTapTokens = Array.from(document.querySelectorAll('[data-test="challenge-tapped-tokens-container"] [data-test*="token"]'));
-        selectedTokens = selectedTapTokens.map(token => {
-            let text = token.innerText.trim();
-            text = text.replace(/\n.*$/, '').trim();
-            return text;
-        });
+        // Get selected tokens (those that have been clicked), in answer order
+        selectedTokens = getTappedTokenButtons().map(getTokenText);
         
         contextType = 'tap';
     }
@@ -80,6 +125,35 @@ function extractQuestionContext() {    // Try to find the question prompt
         tokens: tokens,
         selectedTokens: selectedTokens,
         textInputValue: textInputValue,
-        isAudioQuestion: isAudioQuestion
+        isAudioQuestion: isAudioQuestion,
+        leftColumn: leftColumn,
+        rightColumn: rightColumn,
+        matchedTokens: matchedTokens
+    };
+}
+
+// Helper: Read Duolingo's grading banner shown after an answer is checked.
+// Returns null while no answer has been graded yet.
+function extractAnswerFeedback() {
+    const correctBanner = document.querySelector('[data-test~="blame-correct"]');
+    const incorrectBanner = document.querySelector('[data-test~="blame-incorrect"]');
+    if (!correctBanner && !incorrectBanner) {
+        return null;
+    }
+
+    const banner = incorrectBanner || correctBanner;
+    const lines = banner.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+
+    // The solution follows a "Correct solution:" (or "Correct answer:") heading
+    let correctSolution = null;
+    const labelIndex = lines.findIndex(line => /^correct (solution|answer)s?:?$/i.test(line));
+    if (labelIndex !== -1 && lines[labelIndex + 1]) {
+        correctSolution = lines[labelIndex + 1];
+    }
+
+    return {
+        correct: !incorrectBanner,
+        correctSolution: correctSolution,
+        bannerText: lines.join(' ')
     };
 }
@@ -24,18 +24,102 @@ function forceSelectRadioOption(element) {
         console.log('Method 2: No radio input found');
     }
 
-    // Method 3: Manually set ARIA and data attributes
-    element.setAttribute('aria-checked', 'true');
-    element.setAttribute('data-checked', 'true');
-    element.classList.add('_2Nol3'); // Class for selected
-    console.log('Method 3: Attributes set');
+    // Don't set aria-checked by hand: the selection is verified by reading what Duolingo rendered
 
-    // Method 4: Dispatch mouse events to simulate a real click
+    // Method 3: Dispatch mouse events to simulate a real click
     const event = new MouseEvent('click', {
         bubbles: true,
         cancelable: true,
         view: window
     });
     element.dispatchEvent(event);
-    console.log('Method 4: Mouse event dispatched');
+    console.log('Method 3: Mouse event dispatched');
+}
+
+// Helper function to pause between UI interactions so Duolingo can react
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper function to set an input's value the way the browser does, through the native setter.
+// React tracks the last value it saw; assigning element.value directly updates that tracker too,
+// so React decides nothing changed and ignores the following input event.
+function setNativeValue(element, value) {
+    const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+    valueSetter.call(element, value);
+}
+
+// Helper function to check whether a character is normally typed through an IME
+// (Japanese kana, CJK ideographs, Korean Hangul), which browsers report with composition events
+function isCompositionCharacter(char) {
+    return /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/.test(char);
+}
+
+// Helper function to empty a React-controlled text field
+function clearTextInput(element) {
+    if (!element.value) {
+        return;
+    }
+    element.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType: 'deleteContentBackward' }));
+    setNativeValue(element, '');
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+}
+
+// Helper function to type one character with the events a real keyboard or IME produces
+function typeCharacter(element, char) {
+    if (isCompositionCharacter(char)) {
+        element.dispatchEvent(new CompositionEvent('compositionstart', { bubbles: true, data: '' }));
+        element.dispatchEvent(new CompositionEvent('compositionupdate', { bubbles: true, data: char }));
+        element.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, data: char, inputType: 'insertCompositionText', isComposing: true }));
+        setNativeValue(element, element.value + char);
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, data: char, inputType: 'insertCompositionText', isComposing: true }));
+        element.dispatchEvent(new CompositionEvent('compositionend', { bubbles: true, data: char }));
+        return;
+    }
+
+    const keyInit = { key: char, bubbles: true, cancelable: true };
+    element.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+    element.dispatchEvent(new KeyboardEvent('keypress', keyInit));
+    element.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, data: char, inputType: 'insertText' }));
+    setNativeValue(element, element.value + char);
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, data: char, inputType: 'insertText' }));
+    element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+// Helper function to type text into a React-controlled input or textarea so Duolingo's state picks it up.
+// delay is the average pause between characters in ms (0 types instantly); pauses vary by ±50% to look human.
+// Typing stops early, returning false, as soon as shouldStop() returns true.
+// isAccepted() reads the page's own reaction to the value, such as Duolingo enabling Check, since the
+// field can show the text while React's state never got it.
+// Returns true when the field still holds the text and the page accepted it after React has re-rendered.
+async function typeIntoInput(element, text, delay = 0, shouldStop = () => false, isAccepted = () => true) {
+    element.focus();
+    element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    clearTextInput(element);
+
+    for (const char of text) {
+        if (shouldStop()) {
+            return false;
+        }
+        typeCharacter(element, char);
+        if (delay > 0) {
+            await wait(delay * (0.5 + Math.random()));
+        }
+    }
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+
+    // Give React a chance to re-render, then make sure it kept the value
+    await wait(50);
+    if (element.value === text && isAccepted()) {
+        return true;
+    }
+
+    // React reverted the field or ignored the typing; enter the whole value at once as a last resort
+    console.warn('Typed text was not picked up, setting the whole value instead:', element.value);
+    clearTextInput(element);
+    setNativeValue(element, text);
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, data: text, inputType: 'insertText' }));
+    await wait(50);
+    return element.value === text && isAccepted();
 }
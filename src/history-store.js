@@ -0,0 +1,116 @@
+// src/history-store.js
+// Persistent answer history and accuracy statistics backed by chrome.storage.local
+
+import { CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+const HISTORY_STORAGE_KEY = 'neuro_history';
+
+// en-CA formats dates as YYYY-MM-DD in the user's local time zone
+const dayKey = entry => new Date(entry.timestamp).toLocaleDateString('en-CA');
+
+export class HistoryStore {
+    // Writes are chained so concurrent records never overwrite each other
+    static writeChain = Promise.resolve();
+
+    static async getEntries() {
+        const stored = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+        return stored[HISTORY_STORAGE_KEY] || [];
+    }
+
+    static record(outcome) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            question: outcome.question || '',
+            contextType: outcome.contextType || 'unknown',
+            answer: outcome.answer,
+            correct: outcome.correct === true,
+            correctSolution: outcome.correctSolution || null,
+            timeToAnswer: typeof outcome.timeToAnswer === 'number' ? outcome.timeToAnswer : null,
+            lessonId: outcome.lessonId || null
+        };
+
+        this.writeChain = this.writeChain.then(async () => {
+            const entries = await this.getEntries();
+            entries.push(entry);
+
+            // Keep storage bounded by dropping the oldest entries first
+            const trimmed = entries.slice(-CONFIG.MAX_HISTORY_ENTRIES);
+            await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: trimmed });
+        }).catch(error => {
+            Logger.error('Failed to record answer history:', error);
+        });
+
+        return this.writeChain.then(() => entry);
+    }
+
+    // Resolves once the history is gone and rejects if removing it failed, so the caller can report it.
+    // The chain itself always recovers, so a failed clear doesn't stop later records.
+    static clear() {
+        const cleared = this.writeChain.then(() => chrome.storage.local.remove(HISTORY_STORAGE_KEY));
+        this.writeChain = cleared.catch(error => {
+            Logger.error('Failed to clear answer history:', error);
+        });
+        return cleared;
+    }
+
+    // Summarize a list of entries into answered/correct counts, accuracy and average answer time
+    static summarize(entries) {
+        const correct = entries.filter(entry => entry.correct).length;
+        const timed = entries.filter(entry => entry.timeToAnswer !== null);
+
+        return {
+            answered: entries.length,
+            correct: correct,
+            accuracy: entries.length > 0 ? Math.round((correct / entries.length) * 100) : null,
+            averageTimeToAnswer: timed.length > 0
+                ? Math.round(timed.reduce((total, entry) => total + entry.timeToAnswer, 0) / timed.length)
+                : null
+        };
+    }
+
+    // Group entries by the given key function and summarize each group
+    static groupBy(entries, keyFn) {
+        const groups = {};
+        entries.forEach(entry => {
+            const key = keyFn(entry);
+            if (key === null || key === undefined) {
+                return;
+            }
+            (groups[key] = groups[key] || []).push(entry);
+        });
+
+        const result = {};
+        Object.keys(groups).forEach(key => {
+            result[key] = this.summarize(groups[key]);
+        });
+        return result;
+    }
+
+    static async getSummary() {
+        return this.summarize(await this.getEntries());
+    }
+
+    static async getAccuracyByType() {
+        return this.groupBy(await this.getEntries(), entry => entry.contextType);
+    }
+
+    static async getAccuracyByDay() {
+        return this.groupBy(await this.getEntries(), dayKey);
+    }
+
+    static async getAccuracyByLesson() {
+        return this.groupBy(await this.getEntries(), entry => entry.lessonId);
+    }
+
+    // All statistics at once, for the popup and the get_history_stats runtime message
+    static async getStats() {
+        const entries = await this.getEntries();
+        return {
+            overall: this.summarize(entries),
+            byType: this.groupBy(entries, entry => entry.contextType),
+            byDay: this.groupBy(entries, dayKey),
+            byLesson: this.groupBy(entries, entry => entry.lessonId)
+        };
+    }
+}
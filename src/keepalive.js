@@ -0,0 +1,31 @@
+// src/keepalive.js
+// Wakes the service worker on a periodic alarm so a suspended worker reconnects to Neuro
+
+import { CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+const KEEPALIVE_ALARM = 'neuro_keepalive';
+
+export class KeepAlive {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    // Must run synchronously at startup so the alarm that woke the worker is delivered
+    setupListeners() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === KEEPALIVE_ALARM) {
+                this.handleAlarm();
+            }
+        });
+    }
+
+    start() {
+        chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: CONFIG.KEEPALIVE_ALARM_PERIOD });
+    }
+
+    handleAlarm() {
+        Logger.debug('Keepalive alarm fired');
+        this.connection.ensureConnected();
+    }
+}
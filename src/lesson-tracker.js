@@ -0,0 +1,175 @@
+// src/lesson-tracker.js
+
+console.log('Neuro-Duolingo lesson-tracker.js loaded');
+
+// Lesson lifecycle states, in the order a lesson normally moves through them
+const LESSON_STATES = {
+    IDLE: 'idle',
+    IN_PROGRESS: 'in_progress',
+    COMPLETE: 'complete',
+    FAILED: 'failed'
+};
+
+let lessonState = LESSON_STATES.IDLE;
+let lessonProgress = 0; // Percentage of the lesson progress bar that is filled
+let lessonChallengeCount = 0; // Number of questions seen since the lesson started
+let lessonStartTime = null;
+let lessonId = null; // Identifies the current lesson in the answer history
+
+// Helper: Read the lesson progress bar as a percentage (null when there is none)
+function extractLessonProgress() {
+    const progressBar = document.querySelector('[role="progressbar"]');
+    if (!progressBar) {
+        return null;
+    }
+
+    const now = parseFloat(progressBar.getAttribute('aria-valuenow'));
+    const max = parseFloat(progressBar.getAttribute('aria-valuemax')) || 1;
+    if (isNaN(now)) {
+        return null;
+    }
+
+    return Math.round(Math.min(1, Math.max(0, now / max)) * 100);
+}
+
+// Helper: Pull XP earned, accuracy and time out of the lesson complete screen
+function extractLessonSummary(slide) {
+    const lines = slide.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+    const summary = {
+        xp: null,
+        accuracy: null,
+        time: null
+    };
+
+    lines.forEach((line, index) => {
+        const nextLine = lines[index + 1] || '';
+        if (summary.xp === null && /xp/i.test(line) && /^\+?\d+$/.test(nextLine)) {
+            summary.xp = parseInt(nextLine, 10);
+        }
+        if (summary.accuracy === null && /^\d{1,3}%$/.test(line)) {
+            summary.accuracy = parseInt(line, 10);
+        }
+        if (summary.time === null && /^\d{1,2}:\d{2}$/.test(line)) {
+            summary.time = line;
+        }
+    });
+
+    return summary;
+}
+
+// Helper: Check whether this is a lesson page. Progress bars also show up outside lessons (quests, course
+// progress), so a lesson needs a challenge on screen or a lesson URL such as /lesson or /practice.
+function isLessonPage() {
+    return /^\/(lesson|practice)(\/|$)/.test(location.pathname) ||
+        Boolean(document.querySelector('[data-test~="challenge"], [data-test="challenge-header"]'));
+}
+
+// Helper: Work out which lesson screen is currently shown
+function detectLessonScreen() {
+    const completeSlide = document.querySelector('[data-test="session-complete-slide"]');
+    if (completeSlide) {
+        return { state: LESSON_STATES.COMPLETE, summary: extractLessonSummary(completeSlide) };
+    }
+
+    const outOfHearts = document.querySelector('[data-test="out-of-hearts"], [data-test="no-hearts-left"]') ||
+        Array.from(document.querySelectorAll('h1, h2')).find(heading => /out of hearts/i.test(heading.innerText));
+    if (outOfHearts) {
+        return { state: LESSON_STATES.FAILED, summary: null };
+    }
+
+    if (isLessonPage()) {
+        return { state: LESSON_STATES.IN_PROGRESS, progress: extractLessonProgress() };
+    }
+
+    return { state: LESSON_STATES.IDLE };
+}
+
+// Called by the main observer whenever the page changes; reports every lifecycle transition
+function updateLessonState() {
+    const screen = detectLessonScreen();
+    const previousState = lessonState;
+
+    if (screen.state === LESSON_STATES.IN_PROGRESS) {
+        if (previousState !== LESSON_STATES.IN_PROGRESS) {
+            lessonState = LESSON_STATES.IN_PROGRESS;
+            lessonProgress = screen.progress || 0;
+            lessonChallengeCount = 0;
+            lessonStartTime = Date.now();
+            lessonId = `${location.pathname}@${new Date(lessonStartTime).toISOString()}`;
+            reportLessonTransition(previousState, 'Lesson started.', true);
+        } else if (screen.progress !== null && screen.progress !== lessonProgress) {
+            lessonProgress = screen.progress;
+            reportLessonTransition(previousState, `Lesson progress: ${lessonProgress}% after ${lessonChallengeCount} questions.`, true);
+        }
+        return;
+    }
+
+    if (screen.state === previousState) {
+        return;
+    }
+
+    lessonState = screen.state;
+    switch (screen.state) {
+        case LESSON_STATES.COMPLETE: {
+            lessonProgress = 100;
+            const { xp, accuracy, time } = screen.summary;
+            const details = [
+                xp !== null ? `${xp} XP earned` : null,
+                accuracy !== null ? `${accuracy}% accuracy` : null,
+                `time ${time || formatLessonDuration()}`
+            ].filter(Boolean).join(', ');
+            reportLessonTransition(previousState, `Lesson complete! ${details}.`, false, screen.summary);
+            break;
+        }
+        case LESSON_STATES.FAILED:
+            reportLessonTransition(previousState, `Lesson failed: out of hearts at ${lessonProgress}% progress.`, false);
+            break;
+        case LESSON_STATES.IDLE:
+            // Only leaving a finished or failed lesson is worth reporting
+            if (previousState === LESSON_STATES.IN_PROGRESS) {
+                reportLessonTransition(previousState, 'Left the lesson before finishing it.', true);
+            } else {
+                reportLessonTransition(previousState, null, true);
+            }
+            break;
+    }
+}
+
+// Called by the main observer for every new question so progress reports can count them
+function recordLessonChallenge() {
+    if (lessonState === LESSON_STATES.IN_PROGRESS) {
+        lessonChallengeCount++;
+    }
+}
+
+function formatLessonDuration() {
+    if (!lessonStartTime) {
+        return 'unknown';
+    }
+    const seconds = Math.round((Date.now() - lessonStartTime) / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Send a lifecycle transition to Neuro as context and to the background for the popup
+function reportLessonTransition(previousState, message, silent, summary = null) {
+    const data = {
+        lessonId: lessonId,
+        state: lessonState,
+        previousState: previousState,
+        progress: lessonProgress,
+        challengeCount: lessonChallengeCount,
+        duration: formatLessonDuration(),
+        summary: summary,
+        message: message
+    };
+
+    logToPopup('info', `Lesson state: ${previousState} -> ${lessonState}`, data);
+    if (message) {
+        sendContext(message, silent);
+    }
+
+    chrome.runtime.sendMessage({
+        type: 'neuro_lesson_state',
+        data: data
+    }).catch(() => {});
+}
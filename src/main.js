@@ -7,21 +7,41 @@ logToPopup('info', 'Main content script loaded and initialized');
 let lastQuestionHash = '';
 let lastContextSentTime = 0;
 let lastActionRegistrationTime = 0;
+let lastRegisteredSchemaHash = ''; // Schema of the submit_answer action Neuro currently knows
 let lastAnswerSubmittedTime = 0; // Track when an answer was last submitted
-const DEBOUNCE_DELAY = 1000; // Minimum delay between context messages in ms
-const CONTEXT_CHANGE_THRESHOLD = 5000; // Don't send similar context within 5 seconds
-const ACTION_REGISTRATION_THRESHOLD = 10000; // Don't register actions more often than every 10 seconds
-const ANSWER_COOLDOWN_PERIOD = 3000; // Wait 3 seconds after answer submission before sending new context
+let questionDetectedTime = 0; // Track when the current question was first seen, for time-to-answer stats
+let answerInProgress = false; // True while submit_answer is entering, checking or grading an answer
+let answerStopRequested = false; // Set by a popup pause or an immediate shutdown to stop the answer in progress before Check
+let automationPaused = false; // While paused, no context is sent and no actions are executed
+let automationPauseReason = null;
+let lastReportedQuestionState = ''; // Last context mirrored to the popup's current question panel
+// Timing settings: these defaults mirror CONFIG and are replaced by the options page values
+let DEBOUNCE_DELAY = 1000; // Minimum delay between context messages in ms
+let CONTEXT_CHANGE_THRESHOLD = 5000; // Don't send similar context within 5 seconds
+let ACTION_REGISTRATION_THRESHOLD = 10000; // Don't register actions more often than every 10 seconds
+let ANSWER_COOLDOWN_PERIOD = 3000; // Wait 3 seconds after answer submission before sending new context
+let TYPING_DELAY = 0; // Average pause between typed characters of a text answer, 0 types instantly
+const VERIFY_SELECTION_DELAY = 300; // Let Duolingo re-render before checking the entered answer
+const MATCH_CLICK_DELAY = 200; // Pause between clicking the two tiles of a match pair
+const TAP_CLICK_DELAY = 150; // Pause between tapping word tiles so Duolingo keeps them in order
+const MATCH_RESULT_DELAY = 600; // Wait for Duolingo to grade a match pair before checking it
+const FEEDBACK_TIMEOUT = 5000; // Give up waiting for the correct/incorrect banner after 5 seconds
+const FEEDBACK_POLL_INTERVAL = 200; // How often to look for the grading banner after submitting
+const SHUTDOWN_WAIT_TIMEOUT = 10000; // Longest a graceful shutdown waits for an answer in progress
 
-// Send context to Neuro when events happen in Duolingo
-function sendContext(message, silent = false) {
+// Send context to Neuro when events happen in Duolingo.
+// Passing the question text marks a question context, which the background remembers and
+// replays after a reconnect as long as this tab still shows that question.
+function sendContext(message, silent = false, question = null) {
     try {
         // Following API.md specification for context command
         chrome.runtime.sendMessage({
             type: 'neuro_context',
             data: {
                 message: message, // A plaintext message describing what is happening
-                silent: silent || false // If true, message is added without prompting Neuro to respond
+                silent: silent || false, // If true, message is added without prompting Neuro to respond
+                isQuestion: question !== null,
+                question: question
             }
         }).catch(error => {
             console.debug('Error sending context to background script:', error);
@@ -31,6 +51,18 @@ function sendContext(message, silent = false) {
     }
 }
 
+// Report the outcome of a Neuro action back through the background script
+function sendActionResult(actionId, success, message) {
+    chrome.runtime.sendMessage({
+        type: 'neuro_action_result',
+        data: {
+            id: actionId,
+            success: success,
+            message: message
+        }
+    }).catch(() => {});
+}
+
 // Logging function that sends to background for popup display
 function logToPopup(level, message, data = null) {
     try {
@@ -50,6 +82,99 @@ function logToPopup(level, message, data = null) {
     }
 }
 
+// Load the timing settings from the background, which validates them and fills in defaults
+function loadContentSettings() {
+    chrome.runtime.sendMessage({ type: 'get_neuro_settings' }).then(response => {
+        if (!response || !response.settings) {
+            return;
+        }
+        DEBOUNCE_DELAY = response.settings.DEBOUNCE_DELAY;
+        CONTEXT_CHANGE_THRESHOLD = response.settings.CONTEXT_CHANGE_THRESHOLD;
+        ACTION_REGISTRATION_THRESHOLD = response.settings.ACTION_REGISTRATION_THRESHOLD;
+        ANSWER_COOLDOWN_PERIOD = response.settings.ANSWER_COOLDOWN_PERIOD;
+        TYPING_DELAY = response.settings.TYPING_DELAY;
+        APPROVAL_MODE = response.settings.APPROVAL_MODE;
+        APPROVAL_TIMEOUT = response.settings.APPROVAL_TIMEOUT;
+        APPROVAL_TIMEOUT_ACTION = response.settings.APPROVAL_TIMEOUT_ACTION;
+        logToPopup('debug', 'Applied timing settings', response.settings);
+    }).catch(() => {
+        // Keep the current values if the background script is not available
+    });
+}
+
+// Stop automation for a Neuro shutdown request and leave the lesson in a safe state
+async function prepareForShutdown(mode) {
+    automationPaused = true;
+    automationPauseReason = 'shutdown';
+    logToPopup('warn', `Neuro requested a ${mode} shutdown, stopping automation`);
+    cancelPendingApproval('Neuro is shutting down the game');
+
+    // A graceful shutdown lets an answer that is already being checked finish first,
+    // an immediate one stops it before Check and waits only for it to give up
+    if (mode !== 'graceful') {
+        answerStopRequested = true;
+    }
+    const deadline = Date.now() + SHUTDOWN_WAIT_TIMEOUT;
+    while (answerInProgress && Date.now() < deadline) {
+        await wait(FEEDBACK_POLL_INTERVAL);
+    }
+
+    // Take back tapped tiles and typed text of a half-entered answer. Automation won't click Check
+    // while stopped, and a selected choice can't be unselected on Duolingo, so it stays as it is.
+    if (!answerInProgress && !extractAnswerFeedback()) {
+        clearPreviousSelections(extractQuestionContext().contextType);
+    }
+
+    logToPopup('info', 'Automation stopped for shutdown', { mode, answerInProgress });
+}
+
+// Resume automation after Neuro cancelled a graceful shutdown
+function cancelShutdown() {
+    if (automationPauseReason === 'shutdown') {
+        automationPaused = false;
+        automationPauseReason = null;
+        logToPopup('info', 'Neuro cancelled the shutdown, resuming automation');
+    }
+}
+
+// Pause or resume automation from the popup's control panel
+function setAutomationPaused(paused) {
+    automationPaused = paused;
+    automationPauseReason = paused ? 'popup' : null;
+    if (paused) {
+        // Don't let an answer that is still being entered reach Check
+        answerStopRequested = true;
+    }
+    logToPopup(paused ? 'warn' : 'info', paused ? 'Automation paused from the popup' : 'Automation resumed from the popup');
+
+    // Catch up on whatever question appeared while paused
+    if (!paused) {
+        checkForContextChange();
+    }
+}
+
+// Mirror the question on screen, including the current selection, to the popup's question panel
+function reportQuestionState(context) {
+    const stateHash = JSON.stringify(context);
+    if (stateHash === lastReportedQuestionState) {
+        return;
+    }
+    lastReportedQuestionState = stateHash;
+
+    chrome.runtime.sendMessage({
+        type: 'neuro_question_state',
+        data: context
+    }).catch(() => {});
+}
+
+// Forget the last sent question so the one on screen goes to Neuro again right away
+function resendQuestionContext() {
+    lastQuestionHash = '';
+    lastContextSentTime = 0;
+    lastAnswerSubmittedTime = 0;
+    checkForContextChange();
+}
+
 // Function to update the last answer submitted time (called from actions.js)
 function updateLastAnswerSubmittedTime() {
     lastAnswerSubmittedTime = Date.now();
@@ -63,6 +188,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     if (request.type === 'neuro_action' && request.data) {
         const { id, name, data } = request.data;
+
+        if (automationPaused) {
+            logToPopup('warn', `Ignoring action ${name} while automation is paused`, { id, reason: automationPauseReason });
+            sendActionResult(id, false, `Automation is paused (${automationPauseReason}), the action was not executed.`);
+            return;
+        }
         
         console.log('Executing action:', name, 'with data:', data, 'and id:', id);
         logToPopup('info', `Executing action: ${name}`, { id, data });
@@ -92,7 +223,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           // Route the action to the appropriate handler
         switch (name) {
             case 'submit_answer':
-                submit_answer(parameters, id);
+                // Track the answer until it is graded so a graceful shutdown can wait for it
+                answerInProgress = true;
+                answerStopRequested = false;
+                submit_answer(parameters, id).finally(() => {
+                    answerInProgress = false;
+                });
                 break;
             case 'get_question_context':
                 get_question_context(id);
@@ -100,70 +236,143 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             case 'continue_lesson':
                 continue_lesson(id);
                 break;
+            default:
+                logToPopup('error', `Unknown action: ${name}`, { id });
+                sendActionResult(id, false, `Unknown action "${name}".`);
+        }
+    } else if (request.type === 'neuro_reregister_actions') {
+        // Neuro lost its actions, so register them again regardless of the throttle
+        lastActionRegistrationTime = 0;
+        lastRegisteredSchemaHash = '';
+        const context = extractQuestionContext();
+        registerActions(context.question ? context : null);
+    } else if (request.type === 'neuro_shutdown') {
+        prepareForShutdown(request.data ? request.data.mode : 'immediate')
+            .then(() => sendResponse({ ok: true }))
+            .catch(error => sendResponse({ ok: false, error: error.message }));
+        return true; // Respond once the lesson is in a safe state
+    } else if (request.type === 'neuro_shutdown_cancel') {
+        cancelShutdown();
+    } else if (request.type === 'neuro_set_paused') {
+        setAutomationPaused(Boolean(request.data && request.data.paused));
+    } else if (request.type === 'neuro_approval_decision' && request.data) {
+        const { id, approved, answer, reason } = request.data;
+        const resolved = resolveApproval(id, {
+            approved: Boolean(approved),
+            answer: answer,
+            reason: reason || 'No reason given'
+        }, 'popup');
+        sendResponse(resolved ? { ok: true } : { ok: false, error: 'That answer is no longer waiting for approval' });
+    } else if (request.type === 'neuro_show_overlay') {
+        setOverlayHidden(false);
+    } else if (request.type === 'neuro_get_current_question') {
+        // Lets the background check that a remembered question is still on screen before replaying it
+        sendResponse({ question: extractQuestionContext().question || null });
+    } else if (request.type === 'neuro_resend_context') {
+        if (automationPaused) {
+            sendResponse({ ok: false, error: `Automation is paused (${automationPauseReason})` });
+            return;
         }
+        resendQuestionContext();
+        sendResponse({ ok: true });
     }
 });
 
-// Main observer loop to detect changes in the Duolingo interface
-const observer = new MutationObserver((mutations) => {
-    // Use a timeout to debounce the handler
-    setTimeout(() => {
-        const context = extractQuestionContext();
+// Send the question on screen to Neuro if it changed since the last one sent
+function checkForContextChange() {
+    const context = extractQuestionContext();
+
+    // The popup panel follows the page even while automation is paused
+    reportQuestionState(context);
+
+    // While paused, don't prompt Neuro with new context or actions
+    if (automationPaused) {
+        return;
+    }
+
+    // Track lesson start, progress, completion and failure screens
+    updateLessonState();
+    
+    // If there's no question, it might be a transition screen
+    if (!context.question) {
+        // Try to register actions if they haven't been recently
+        registerActions();
+        return;
+    }
+      // Create a simple hash of the context to detect changes
+    const currentHash = JSON.stringify(context);
+    
+    // If the question context has changed, send it to Neuro
+    if (currentHash !== lastQuestionHash) {
+        const now = Date.now();
         
-        // If there's no question, it might be a transition screen
-        if (!context.question) {
-            // Try to register actions if they haven't been recently
-            registerActions();
+        // Check if we recently submitted an answer
+        if (lastAnswerSubmittedTime && (now - lastAnswerSubmittedTime < ANSWER_COOLDOWN_PERIOD)) {
+            logToPopup('debug', `Delaying context send - answer was recently submitted ${now - lastAnswerSubmittedTime}ms ago`);
             return;
         }
-          // Create a simple hash of the context to detect changes
-        const currentHash = JSON.stringify(context);
         
-        // If the question context has changed, send it to Neuro
-        if (currentHash !== lastQuestionHash) {
-            const now = Date.now();
+        if (now - lastContextSentTime > CONTEXT_CHANGE_THRESHOLD) {
+            lastQuestionHash = currentHash;
+            lastContextSentTime = now;
+              // Construct a descriptive message for Neuro
+            let message = `New question: ${context.question}`;
             
-            // Check if we recently submitted an answer
-            if (lastAnswerSubmittedTime && (now - lastAnswerSubmittedTime < ANSWER_COOLDOWN_PERIOD)) {
-                logToPopup('debug', `Delaying context send - answer was recently submitted ${now - lastAnswerSubmittedTime}ms ago`);
-                return;
+            if (context.contextType === 'choice') {
+                // Format options clearly with numbers
+                const formattedOptions = context.options.map((option, index) => 
+                    `${index + 1}. ${option.text.replace(/\n\d+$/, '').trim()}`
+                ).join('\n');
+                message += `\nOptions:\n${formattedOptions}`;
+            } else if (context.contextType === 'tap') {
+                // For tap challenges, list available tokens
+                const formattedTokens = context.tokens.map((token, index) => 
+                    `${index + 1}. ${token.trim()}`
+                ).join('\n');
+                message += `\nAvailable words:\n${formattedTokens}`;
+            } else if (context.contextType === 'match') {
+                // For match challenges, list both columns so Neuro can pair them up
+                message += `\nLeft column:\n${context.leftColumn.map(token => `- ${token}`).join('\n')}`;
+                message += `\nRight column:\n${context.rightColumn.map(token => `- ${token}`).join('\n')}`;
+                message += `\nAnswer with a list of pairs, each one {"left": "left tile", "right": "right tile"}.`;
+            } else if (context.contextType === 'text') {
+                message += `\nType your answer in the text field.`;
             }
             
-            if (now - lastContextSentTime > CONTEXT_CHANGE_THRESHOLD) {
-                lastQuestionHash = currentHash;
-                lastContextSentTime = now;
-                  // Construct a descriptive message for Neuro
-                let message = `New question: ${context.question}`;
-                
-                if (context.contextType === 'choice') {
-                    // Format options clearly with numbers
-                    const formattedOptions = context.options.map((option, index) => 
-                        `${index + 1}. ${option.text.replace(/\n\d+$/, '').trim()}`
-                    ).join('\n');
-                    message += `\nOptions:\n${formattedOptions}`;
-                } else if (context.contextType === 'tap') {
-                    // For tap challenges, list available tokens
-                    const formattedTokens = context.tokens.map((token, index) => 
-                        `${index + 1}. ${token.trim()}`
-                    ).join('\n');
-                    message += `\nAvailable words:\n${formattedTokens}`;
-                } else if (context.contextType === 'text') {
-                    message += `\nType your answer in the text field.`;
-                }
-                
-                // Add instruction for audio questions
-                if (context.question.toLowerCase().includes('what do you hear') || 
-                    context.question.toLowerCase().includes('listen') ||
-                    document.querySelector('[data-test="player-button"]')) {
-                    message += `\nThis is an audio question. Listen to the audio and select the correct option.`;
-                }
-                
-                logToPopup('info', `New ${context.contextType} question detected`, { question: context.question });
-                sendContext(message);
-                registerActions(); // Re-register actions for the new context
+            // Add instruction for audio questions
+            if (context.question.toLowerCase().includes('what do you hear') || 
+                context.question.toLowerCase().includes('listen') ||
+                document.querySelector('[data-test="player-button"]')) {
+                message += `\nThis is an audio question. Listen to the audio and select the correct option.`;
             }
+            
+            questionDetectedTime = now;
+            recordLessonChallenge();
+            logToPopup('info', `New ${context.contextType} question detected`, { question: context.question });
+            sendContext(message, false, context.question);
+            registerActions(context); // Re-register actions with a schema for the new context
         }
-    }, DEBOUNCE_DELAY);
+    }
+}
+
+// True for DOM changes made by the extension's own overlays rather than by Duolingo
+function isOverlayMutation(mutation) {
+    if (mutation.target.closest && mutation.target.closest('.neuro-status')) {
+        return true;
+    }
+    return Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes))
+        .every(node => node.classList && node.classList.contains('neuro-status'));
+}
+
+// Main observer loop to detect changes in the Duolingo interface
+const observer = new MutationObserver((mutations) => {
+    // Overlay updates don't change the question, so don't re-check the page for them
+    if (mutations.every(isOverlayMutation)) {
+        return;
+    }
+
+    // Use a timeout to debounce the handler
+    setTimeout(checkForContextChange, DEBOUNCE_DELAY);
 });
 
 // Start observing the document body for changes
@@ -172,5 +381,26 @@ observer.observe(document.body, {
     subtree: true
 });
 
+// Show the on-page status overlay
+initStatusOverlay();
+
+// Apply the options page settings now and whenever they change
+loadContentSettings();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync') {
+        loadContentSettings();
+    }
+});
+
+// Start paused if automation was paused from the popup before this page loaded
+chrome.runtime.sendMessage({ type: 'get_automation_state' }).then(response => {
+    if (response && response.paused) {
+        automationPaused = true;
+        automationPauseReason = 'popup';
+    }
+}).catch(() => {
+    // The background script is not available, stay unpaused
+});
+
 // Initial registration of actions when the script loads
 registerActions();
@@ -3,17 +3,31 @@
 
 import { CONFIG } from './config.js';
 import { Logger } from './logger.js';
+import { HistoryStore } from './history-store.js';
+import { Settings } from './settings.js';
+
+// Messages that reach Neuro only from the tab that owns the lesson
+const OWNER_ONLY_MESSAGES = ['neuro_context', 'neuro_register_actions', 'neuro_unregister_actions'];
 
 export class MessageHandler {
-    static process(msg, connection, popupManager = null) {
+    static process(msg, connection, popupManager = null, tabArbiter = null, pendingActions = null) {
         try {
             switch (msg.command) {
                 case 'action':
-                    this.handleAction(msg, connection, popupManager);
+                    this.handleAction(msg, connection, popupManager, tabArbiter, pendingActions);
                     break;
                 case 'status':
                     this.handleStatus(msg, connection, popupManager);
                     break;
+                case 'actions/reregister_all':
+                    this.handleReregisterAll(msg, connection, popupManager);
+                    break;
+                case 'shutdown/graceful':
+                    this.handleGracefulShutdown(msg, connection, popupManager);
+                    break;
+                case 'shutdown/immediate':
+                    this.handleImmediateShutdown(msg, connection, popupManager);
+                    break;
                 default:
                     Logger.warn(`Unknown command received from Neuro: ${msg.command}`, msg);
                     if (popupManager) {
@@ -35,7 +49,7 @@ export class MessageHandler {
                 popupManager.logError('Error processing message', { error: e.message });
             }
         }
-    }    static async handleAction(msg, connection, popupManager = null) {
+    }    static async handleAction(msg, connection, popupManager = null, tabArbiter = null, pendingActions = null) {
         if (!msg.data || !msg.data.id) {
             Logger.error('Invalid action message: missing data or id', msg);
             if (popupManager) {
@@ -45,12 +59,10 @@ export class MessageHandler {
         }
 
         try {
-            // Find Duolingo tabs
-            const tabs = await chrome.tabs.query({
-                url: 'https://www.duolingo.com/*'
-            });
+            // Only the tab that owns the lesson receives the action, so it is executed exactly once
+            const tab = tabArbiter ? await tabArbiter.getTargetTab() : null;
 
-            if (tabs.length === 0) {
+            if (!tab) {
                 Logger.warn('No Duolingo tabs found for action');
                 if (popupManager) {
                     popupManager.logWarn('No Duolingo tabs found for action');
@@ -68,41 +80,38 @@ export class MessageHandler {
                 return;
             }
 
-            // Forward to all matching tabs
-            let messagesSent = 0;
-            for (const tab of tabs) {
-                try {
-                    await chrome.tabs.sendMessage(tab.id, {
-                        type: 'neuro_action',
-                        data: msg.data
-                    });
-                    messagesSent++;
-                    Logger.debug(`Sent action to tab ${tab.id}`);
-                    if (popupManager) {
-                        popupManager.logInfo(`Sent action to tab ${tab.id}`, { actionId: msg.data.id, tabId: tab.id });
-                    }
-                } catch (error) {
-                    Logger.warn(`Failed to send message to tab ${tab.id}:`, error);
-                    if (popupManager) {
-                        popupManager.logWarn(`Failed to send message to tab ${tab.id}`, { error: error.message, tabId: tab.id });
-                    }
-                }
+            // Track the action before sending it, since the result can arrive before sendMessage resolves
+            if (pendingActions) {
+                pendingActions.track(msg.data.id, msg.data.name, tab.id);
             }
 
-            if (messagesSent === 0) {
-                Logger.error('Failed to send action to any tabs');
+            try {
+                await chrome.tabs.sendMessage(tab.id, {
+                    type: 'neuro_action',
+                    data: msg.data
+                });
+                Logger.debug(`Sent action to tab ${tab.id}`);
                 if (popupManager) {
-                    popupManager.logError('Failed to send action to any tabs');
+                    popupManager.logInfo(`Sent action to tab ${tab.id}`, { actionId: msg.data.id, tabId: tab.id });
+                }
+            } catch (error) {
+                Logger.error(`Failed to send action to tab ${tab.id}:`, error);
+                if (popupManager) {
+                    popupManager.logError(`Failed to send action to tab ${tab.id}`, { error: error.message, tabId: tab.id });
+                }
+                if (pendingActions) {
+                    pendingActions.fail(msg.data.id, 'Failed to communicate with the Duolingo tab.');
+                } else {
+                    connection.sendToNeuro({
+                        command: 'action/result',
+                        game: CONFIG.GAME_NAME,
+                        data: {
+                            id: msg.data.id,
+                            success: false,
+                            message: 'Failed to communicate with the Duolingo tab.'
+                        }
+                    });
                 }
-                connection.sendToNeuro({
-                    command: 'action/result',
-                    game: CONFIG.GAME_NAME,
-                    data: {
-                        id: msg.data.id,
-                        success: false,
-                        message: 'Failed to communicate with Duolingo tabs.'
-                    }
-                });
             }
         } catch (error) {
             Logger.error('Error handling action:', error);
@@ -127,17 +136,193 @@ export class MessageHandler {
         // Handle status messages if needed
     }
 
-    static handleRuntimeMessage(message, sender, sendResponse, connection, popupManager = null) {
+    // Send a message to every Duolingo tab and collect the responses (null for tabs that failed)
+    static async broadcastToDuolingoTabs(message) {
+        const tabs = await chrome.tabs.query({ url: 'https://www.duolingo.com/*' });
+        return Promise.all(tabs.map(tab =>
+            chrome.tabs.sendMessage(tab.id, message).catch(error => {
+                Logger.warn(`Failed to send ${message.type} to tab ${tab.id}:`, error);
+                return null;
+            })
+        ));
+    }
+
+    static async handleReregisterAll(msg, connection, popupManager = null) {
+        Logger.info('Neuro requested all actions to be re-registered');
+        if (popupManager) {
+            popupManager.logInfo('Neuro requested all actions to be re-registered');
+            popupManager.updateLastEvent('Re-register Actions');
+        }
+
+        const responses = await this.broadcastToDuolingoTabs({ type: 'neuro_reregister_actions' });
+        if (responses.length === 0) {
+            Logger.warn('No Duolingo tabs open to re-register actions from');
+            if (popupManager) {
+                popupManager.logWarn('No Duolingo tabs open to re-register actions from');
+            }
+        }
+    }
+
+    // Pause or resume context sending and action execution in every Duolingo tab
+    static async handleSetAutomationPaused(paused, popupManager = null) {
+        Logger.info(`Automation ${paused ? 'paused' : 'resumed'} from the popup`);
+        if (popupManager) {
+            popupManager.updateStatus({ automationPaused: paused });
+            popupManager.logInfo(`Automation ${paused ? 'paused' : 'resumed'} from the popup`);
+            popupManager.updateLastEvent(paused ? 'Automation Paused' : 'Automation Resumed');
+        }
+
+        await this.broadcastToDuolingoTabs({ type: 'neuro_set_paused', data: { paused } });
+    }
+
+    // Ask the tab that owns the lesson to send its current question to Neuro again
+    static async handleResendContext(popupManager = null, tabArbiter = null) {
+        const tab = tabArbiter ? await tabArbiter.getTargetTab() : null;
+        if (!tab) {
+            if (popupManager) {
+                popupManager.logWarn('No Duolingo tab to resend the question context from');
+            }
+            return { ok: false, error: 'No Duolingo tab open' };
+        }
+
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'neuro_resend_context' });
+        if (popupManager) {
+            popupManager.logInfo(`Resending the question context from tab ${tab.id}`, { tabId: tab.id });
+        }
+        return response || { ok: true };
+    }
+
+    static async handleGracefulShutdown(msg, connection, popupManager = null) {
+        const wantsShutdown = Boolean(msg.data && msg.data.wants_shutdown);
+
+        if (!wantsShutdown) {
+            Logger.info('Neuro cancelled the graceful shutdown');
+            if (popupManager) {
+                popupManager.logInfo('Neuro cancelled the graceful shutdown');
+                popupManager.updateLastEvent('Shutdown Cancelled');
+            }
+            await this.broadcastToDuolingoTabs({ type: 'neuro_shutdown_cancel' });
+            return;
+        }
+
+        Logger.warn('Neuro requested a graceful shutdown');
+        if (popupManager) {
+            popupManager.logWarn('Neuro requested a graceful shutdown, waiting for the lesson to reach a safe state');
+            popupManager.updateLastEvent('Graceful Shutdown');
+        }
+
+        // Give the tabs time to finish an answer in progress, but always acknowledge eventually
+        const timeout = new Promise(resolve => setTimeout(() => resolve('timeout'), CONFIG.SHUTDOWN_TIMEOUT));
+        const result = await Promise.race([
+            this.broadcastToDuolingoTabs({ type: 'neuro_shutdown', data: { mode: 'graceful' } }),
+            timeout
+        ]);
+        if (result === 'timeout') {
+            Logger.warn('Duolingo tabs did not confirm the shutdown in time');
+            if (popupManager) {
+                popupManager.logWarn('Duolingo tabs did not confirm the shutdown in time');
+            }
+        }
+
+        this.sendShutdownReady(connection, popupManager);
+    }
+
+    static async handleImmediateShutdown(msg, connection, popupManager = null) {
+        Logger.warn('Neuro requested an immediate shutdown');
+        if (popupManager) {
+            popupManager.logWarn('Neuro requested an immediate shutdown');
+            popupManager.updateLastEvent('Immediate Shutdown');
+        }
+
+        // Acknowledge right away, then stop the tabs; an immediate shutdown doesn't wait for them
+        this.sendShutdownReady(connection, popupManager);
+        try {
+            await this.broadcastToDuolingoTabs({ type: 'neuro_shutdown', data: { mode: 'immediate' } });
+        } catch (error) {
+            Logger.warn('Could not stop the Duolingo tabs for the shutdown:', error);
+            if (popupManager) {
+                popupManager.logWarn('Could not stop the Duolingo tabs for the shutdown', { error: error.message });
+            }
+        }
+    }
+
+    static sendShutdownReady(connection, popupManager = null) {
+        const success = connection.sendToNeuro({
+            command: 'shutdown/ready',
+            game: CONFIG.GAME_NAME
+        });
+
+        if (success) {
+            Logger.info('Sent shutdown/ready to Neuro');
+            if (popupManager) {
+                popupManager.logInfo('Automation stopped, sent shutdown/ready to Neuro');
+            }
+        } else {
+            Logger.error('Failed to send shutdown/ready to Neuro');
+            if (popupManager) {
+                popupManager.logError('Failed to send shutdown/ready to Neuro');
+            }
+        }
+    }
+
+    // True unless the message comes from a Duolingo tab other than the one that owns the lesson.
+    // Before an owner is known every tab counts, so nothing is lost while the worker starts up.
+    static isFromOwnerTab(sender, tabArbiter = null) {
+        const tabId = sender && sender.tab ? sender.tab.id : null;
+        return !tabArbiter || tabArbiter.ownerTabId === null || tabId === null || tabId === tabArbiter.ownerTabId;
+    }
+
+    static handleRuntimeMessage(message, sender, sendResponse, connection, popupManager = null, tabArbiter = null, pendingActions = null) {
+        // A tab that doesn't own the lesson would overwrite the owner's question and submit_answer schema.
+        // The arbiter has a new owner send its own once ownership changes.
+        if (OWNER_ONLY_MESSAGES.includes(message.type) && !this.isFromOwnerTab(sender, tabArbiter)) {
+            Logger.debug(`Ignored ${message.type} from tab ${sender.tab.id}, which does not own the lesson`);
+            return false;
+        }
+
         try {            switch (message.type) {
                 case 'neuro_context':
-                    this.handleContextMessage(message, connection, popupManager);
+                    this.handleContextMessage(message, connection, popupManager, sender);
                     break;
                 case 'neuro_action_result':
-                    this.handleActionResult(message, connection, popupManager);
+                    this.handleActionResult(message, connection, popupManager, pendingActions);
                     break;
                 case 'neuro_register_actions':
                     this.handleRegisterActions(message, connection, popupManager);
                     break;
+                case 'neuro_question_state':
+                    this.handleQuestionState(message, sender, popupManager, tabArbiter);
+                    break;
+                case 'neuro_answer_submitted':
+                    this.handleAnswerSubmitted(message, popupManager);
+                    break;
+                case 'neuro_approval_request':
+                    this.handleApprovalRequest(message, sender, popupManager, pendingActions);
+                    break;
+                case 'neuro_approval_resolved':
+                    this.handleApprovalResolved(message, popupManager);
+                    break;
+                case 'neuro_action_extend':
+                    this.handleActionExtend(message, pendingActions);
+                    break;
+                case 'neuro_action_pending':
+                    // Without tracking every action counts as pending
+                    sendResponse({ pending: !pendingActions || Boolean(message.data && pendingActions.has(message.data.id)) });
+                    break;
+                case 'approval_decision':
+                    this.handleApprovalDecision(message, popupManager)
+                        .then(response => sendResponse(response))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'neuro_answer_outcome':
+                    this.handleAnswerOutcome(message, sender, connection, popupManager);
+                    break;
+                case 'neuro_lesson_state':
+                    this.handleLessonState(message, sender, connection, popupManager);
+                    break;
+                case 'neuro_unregister_actions':
+                    this.handleUnregisterActions(message, connection, popupManager);
+                    break;
                 case 'neuro_force_action':
                     this.handleForceAction(message, connection, popupManager);
                     break;                case 'neuro_log':
@@ -157,6 +342,86 @@ export class MessageHandler {
                         popupManager.logNeuroConnection(message.data.connected);
                     }
                     break;
+                case 'get_history_stats':
+                    HistoryStore.getStats()
+                        .then(stats => sendResponse({ ok: true, stats }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'clear_history':
+                    HistoryStore.clear()
+                        .then(() => {
+                            if (popupManager) {
+                                popupManager.updateStatus({ historySummary: HistoryStore.summarize([]) });
+                                popupManager.logInfo('Answer history cleared');
+                            }
+                            sendResponse({ ok: true });
+                        })
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'get_neuro_settings':
+                    Settings.load()
+                        .then(settings => sendResponse({ ok: true, settings }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'neuro_pin_tab':
+                    if (!tabArbiter) {
+                        sendResponse({ ok: false, error: 'Tab arbitration is not available' });
+                        break;
+                    }
+                    tabArbiter.pinTab(message.data ? message.data.tabId : null)
+                        .then(owner => sendResponse({ ok: true, ownerTabId: owner ? owner.id : null }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'set_automation_paused':
+                    this.handleSetAutomationPaused(Boolean(message.data && message.data.paused), popupManager)
+                        .then(() => sendResponse({ ok: true }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'get_automation_state':
+                    sendResponse({ paused: Boolean(popupManager && popupManager.statusCache.automationPaused) });
+                    return true; // Required for async response
+                case 'reconnect_neuro':
+                    if (popupManager) {
+                        popupManager.logInfo('Reconnecting to Neuro API from the popup');
+                    }
+                    connection.reconnectNow();
+                    sendResponse({ ok: true });
+                    return true; // Required for async response
+                case 'disconnect_neuro':
+                    if (popupManager) {
+                        popupManager.logWarn('Disconnected from Neuro API from the popup, reconnect to resume');
+                    }
+                    connection.disconnectByUser();
+                    sendResponse({ ok: true });
+                    return true; // Required for async response
+                case 'resend_context':
+                    this.handleResendContext(popupManager, tabArbiter)
+                        .then(response => sendResponse(response))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'reregister_actions':
+                    if (popupManager) {
+                        popupManager.logInfo('Re-registering actions from the popup');
+                    }
+                    this.broadcastToDuolingoTabs({ type: 'neuro_reregister_actions' })
+                        .then(responses => sendResponse(responses.length > 0 ? { ok: true } : { ok: false, error: 'No Duolingo tabs open' }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'show_overlay':
+                    this.broadcastToDuolingoTabs({ type: 'neuro_show_overlay' })
+                        .then(() => sendResponse({ ok: true }))
+                        .catch(error => sendResponse({ ok: false, error: error.message }));
+                    return true; // Required for async response
+                case 'clear_log':
+                    if (popupManager) {
+                        popupManager.clearLog();
+                        popupManager.logInfo('Log cache cleared');
+                    }
+                    sendResponse({ ok: true });
+                    return true; // Required for async response
+                case 'get_log_cache':
+                    sendResponse({ ok: true, logs: popupManager ? popupManager.logCache : [] });
+                    return true; // Required for async response
                 case 'get_neuro_status':
                     sendResponse({ connected: connection.isConnected });
                     return true; // Required for async response
@@ -183,7 +448,7 @@ export class MessageHandler {
         return false;
     }
 
-    static handleContextMessage(message, connection, popupManager = null) {
+    static handleContextMessage(message, connection, popupManager = null, sender = null) {
         if (!message.data) {
             Logger.error('Invalid context message: missing data', message);
             if (popupManager) {
@@ -197,11 +462,19 @@ export class MessageHandler {
             silent: message.data.silent || false
         };
 
-        connection.sendToNeuro({
-            command: 'context',
-            game: CONFIG.GAME_NAME,
-            data: contextData
-        });
+        // Keep the latest question so it can be replayed after a reconnect
+        if (message.data.isQuestion) {
+            connection.sendQuestionContext(contextData, {
+                tabId: sender && sender.tab ? sender.tab.id : null,
+                question: message.data.question || null
+            });
+        } else {
+            connection.sendToNeuro({
+                command: 'context',
+                game: CONFIG.GAME_NAME,
+                data: contextData
+            });
+        }
 
         if (popupManager) {
             // Extract challenge type for better logging
@@ -210,7 +483,7 @@ export class MessageHandler {
         }
     }
 
-    static handleActionResult(message, connection, popupManager = null) {
+    static handleActionResult(message, connection, popupManager = null, pendingActions = null) {
         if (!message.data || !message.data.id) {
             Logger.error('Invalid action result format:', message);
             if (popupManager) {
@@ -219,6 +492,15 @@ export class MessageHandler {
             return;
         }
 
+        // Only the first result for an action id reaches Neuro (later ones come from timeouts or other tabs)
+        if (pendingActions && !pendingActions.complete(message.data.id)) {
+            Logger.warn(`Suppressed duplicate result for action ${message.data.id}`);
+            if (popupManager) {
+                popupManager.logWarn(`Suppressed duplicate result for action ${message.data.id}`, { result: message.data });
+            }
+            return;
+        }
+
         const resultData = {
             id: message.data.id,
             success: message.data.success || false,
@@ -233,6 +515,14 @@ export class MessageHandler {
 
         if (popupManager) {
             popupManager.logActionResult(resultData);
+
+            // Attach the result to the answer shown in the popup's question panel
+            const lastAnswer = popupManager.statusCache.lastAnswer;
+            if (lastAnswer && lastAnswer.id === resultData.id) {
+                popupManager.updateStatus({
+                    lastAnswer: { ...lastAnswer, success: resultData.success, resultMessage: resultData.message }
+                });
+            }
         }
     }    static handleRegisterActions(message, connection, popupManager = null) {
         if (!message.data || !message.data.actions || !Array.isArray(message.data.actions)) {
@@ -244,6 +534,9 @@ export class MessageHandler {
             return;
         }
 
+        // Remember the actions even if the send fails, so they are registered on the next connect
+        connection.rememberActions(message.data.actions);
+
         const success = connection.sendToNeuro({
             command: 'actions/register',
             game: CONFIG.GAME_NAME,
@@ -269,6 +562,233 @@ export class MessageHandler {
         }
     }
 
+    // Mirror the question on screen in the popup. Only the tab that owns the lesson is shown,
+    // so a second Duolingo tab doesn't overwrite the panel.
+    static handleQuestionState(message, sender, popupManager = null, tabArbiter = null) {
+        if (!popupManager || !message.data) {
+            return;
+        }
+
+        const tabId = sender && sender.tab ? sender.tab.id : null;
+        if (!this.isFromOwnerTab(sender, tabArbiter)) {
+            return;
+        }
+
+        popupManager.updateStatus({
+            currentQuestion: {
+                ...message.data,
+                tabId,
+                updatedAt: new Date().toISOString()
+            }
+        });
+    }
+
+    static handleAnswerSubmitted(message, popupManager = null) {
+        if (!popupManager || !message.data) {
+            return;
+        }
+
+        popupManager.updateStatus({
+            lastAnswer: {
+                ...message.data,
+                submittedAt: new Date().toISOString(),
+                correct: null,
+                correctSolution: null,
+                success: null,
+                resultMessage: null
+            }
+        });
+    }
+
+    // A Duolingo tab is holding an answer until the operator approves it
+    static handleApprovalRequest(message, sender, popupManager = null, pendingActions = null) {
+        if (!message.data || !message.data.id) {
+            Logger.error('Invalid approval request: missing id', message);
+            return;
+        }
+
+        // The action must not time out while the operator is still deciding
+        if (pendingActions) {
+            pendingActions.extend(message.data.id, this.extendedActionTimeout(message.data.timeout));
+        }
+
+        Logger.info(`Answer for action ${message.data.id} is waiting for approval`, message.data);
+        if (popupManager) {
+            popupManager.updateStatus({
+                pendingApproval: {
+                    ...message.data,
+                    tabId: sender && sender.tab ? sender.tab.id : null,
+                    requestedAt: new Date().toISOString()
+                }
+            });
+            popupManager.updateLastEvent('Waiting for Approval');
+        }
+    }
+
+    // Keep an action from timing out while its tab is still working on it, e.g. typing a long answer
+    static handleActionExtend(message, pendingActions = null) {
+        if (!message.data || !message.data.id) {
+            Logger.error('Invalid action extend message: missing id', message);
+            return;
+        }
+
+        if (pendingActions) {
+            pendingActions.extend(message.data.id, this.extendedActionTimeout(message.data.timeout));
+        }
+    }
+
+    // The time a tab asked for on top of the usual action timeout; a missing or invalid value adds nothing
+    static extendedActionTimeout(timeout) {
+        return (Number.isFinite(timeout) && timeout > 0 ? timeout : 0) + CONFIG.ACTION_TIMEOUT;
+    }
+
+    static handleApprovalResolved(message, popupManager = null) {
+        if (!message.data) {
+            return;
+        }
+
+        const { id, approved, answer, reason, decidedBy } = message.data;
+        Logger.info(`Answer for action ${id} ${approved ? 'approved' : 'rejected'} by ${decidedBy}`, message.data);
+        if (popupManager) {
+            popupManager.addLogEntry({
+                level: approved ? 'info' : 'warn',
+                message: approved ?
+                    `Answer approved by ${decidedBy}: "${answer}"` :
+                    `Answer rejected by ${decidedBy}: ${reason}`,
+                data: message.data,
+                source: 'action'
+            });
+            const pendingApproval = popupManager.statusCache.pendingApproval;
+            if (pendingApproval && pendingApproval.id === id) {
+                popupManager.updateStatus({ pendingApproval: null });
+            }
+        }
+    }
+
+    // Pass the operator's decision from the popup to the tab holding the answer
+    static async handleApprovalDecision(message, popupManager = null) {
+        const pendingApproval = popupManager ? popupManager.statusCache.pendingApproval : null;
+        if (!message.data || !pendingApproval || pendingApproval.id !== message.data.id) {
+            return { ok: false, error: 'That answer is no longer waiting for approval' };
+        }
+        if (pendingApproval.tabId === null) {
+            return { ok: false, error: 'The tab holding the answer is unknown' };
+        }
+
+        try {
+            const response = await chrome.tabs.sendMessage(pendingApproval.tabId, {
+                type: 'neuro_approval_decision',
+                data: message.data
+            });
+            return response || { ok: false, error: 'No response from the Duolingo tab' };
+        } catch (error) {
+            // The tab is gone, so the answer can no longer be approved
+            popupManager.updateStatus({ pendingApproval: null });
+            return { ok: false, error: `The Duolingo tab is not available: ${error.message}` };
+        }
+    }
+
+    static handleAnswerOutcome(message, sender, connection, popupManager = null) {
+        if (!message.data) {
+            Logger.error('Invalid answer outcome message: missing data', message);
+            return;
+        }
+
+        // The question is answered, so a reconnect must not ask Neuro about it again
+        connection.forgetQuestionContext(sender && sender.tab ? sender.tab.id : null);
+
+        const { correct, correctSolution } = message.data;
+        Logger.info(`Answer graded ${correct ? 'correct' : 'incorrect'}`, message.data);
+        if (popupManager) {
+            popupManager.addLogEntry({
+                level: correct ? 'info' : 'warn',
+                message: `Answer ${correct ? 'CORRECT' : 'INCORRECT'}${correctSolution ? ` - correct solution: ${correctSolution}` : ''}`,
+                data: message.data,
+                source: 'duolingo'
+            });
+            popupManager.updateLastEvent(`Answer (${correct ? 'Correct' : 'Incorrect'})`);
+
+            const lastAnswer = popupManager.statusCache.lastAnswer;
+            if (lastAnswer && lastAnswer.question === message.data.question) {
+                popupManager.updateStatus({
+                    lastAnswer: { ...lastAnswer, correct, correctSolution: correctSolution || null }
+                });
+            }
+        }
+
+        HistoryStore.record(message.data)
+            .then(() => HistoryStore.getSummary())
+            .then(summary => {
+                if (popupManager) {
+                    popupManager.updateStatus({ historySummary: summary });
+                }
+            })
+            .catch(error => {
+                Logger.warn('Could not update answer history:', error);
+                if (popupManager) popupManager.logWarn('Could not update answer history', { error: error.message });
+            });
+    }
+
+    static handleLessonState(message, sender, connection, popupManager = null) {
+        if (!message.data || !message.data.state) {
+            Logger.error('Invalid lesson state message: missing state', message);
+            return;
+        }
+
+        const { state, previousState, progress } = message.data;
+        // Outside a lesson there is no question left to replay after a reconnect
+        if (state !== 'in_progress') {
+            connection.forgetQuestionContext(sender && sender.tab ? sender.tab.id : null);
+        }
+        Logger.info(`Lesson state changed: ${previousState} -> ${state}`, message.data);
+        if (popupManager) {
+            popupManager.updateStatus({
+                lessonState: state,
+                lessonProgress: progress
+            });
+            popupManager.addLogEntry({
+                level: state === 'failed' ? 'warn' : 'info',
+                message: message.data.message || `Lesson state: ${state}`,
+                data: message.data,
+                source: 'duolingo'
+            });
+            popupManager.updateLastEvent(`Lesson (${state})`);
+        }
+    }
+
+    static handleUnregisterActions(message, connection, popupManager = null) {
+        if (!message.data || !Array.isArray(message.data.action_names)) {
+            Logger.error('Invalid unregister actions format:', message);
+            if (popupManager) {
+                popupManager.logError('Failed to unregister actions: invalid format');
+            }
+            return;
+        }
+
+        connection.forgetActions(message.data.action_names);
+
+        const success = connection.sendToNeuro({
+            command: 'actions/unregister',
+            game: CONFIG.GAME_NAME,
+            data: {
+                action_names: message.data.action_names
+            }
+        });
+
+        if (success) {
+            const actionNames = message.data.action_names.join(', ');
+            Logger.info(`Unregistered actions with Neuro: ${actionNames}`);
+            if (popupManager) {
+                popupManager.logInfo('Unregistered actions with Neuro', { actionNames });
+            }
+        } else {
+            Logger.error('Failed to send action unregistration to Neuro');
+            if (popupManager) {
+                popupManager.logError('Failed to unregister actions: connection error');
+            }
+        }
+    }
+
     static handleForceAction(message, connection, popupManager = null) {
         if (!message.data) {
             Logger.error('Invalid force action message: missing data', message);
@@ -3,23 +3,37 @@
 
 import { CONFIG, NOTIFICATION_IDS } from './config.js';
 import { Logger } from './logger.js';
+import { OutboundQueue } from './outbound-queue.js';
+
+// Registered actions and the current question are kept here so a restarted service worker can replay them
+const SESSION_STORAGE_KEY = 'neuro_session_state';
 
 export class NeuroConnection {
-    constructor(popupManager = null) {
+    // WebSocketImpl defaults to the browser's WebSocket; a fake with the same interface
+    // (constructor(url), readyState, send, close and the on* handlers) lets this run outside Chrome
+    constructor(popupManager = null, WebSocketImpl = globalThis.WebSocket) {
+        this.WebSocketImpl = WebSocketImpl;
         this.ws = null;
         this.isConnected = false;
         this.lastMessageTime = null;
+        this.lastPingTime = null;
         this.reconnectAttempts = 0;
         this.reconnectTimer = null;
         this.connectionLost = false;
-        this.heartbeatInterval = null;
+        this.stayDisconnected = false; // Set when the user disconnected from the popup, stops automatic reconnects
+        this.heartbeatTimer = null;
         this.popupManager = popupManager;
+        this.registeredActions = new Map(); // Action name -> definition, replayed after every (re)connect
+        this.lastQuestionContext = null; // Latest question context, replayed after every (re)connect
+        // Resolves true when the tab that sent the question still shows it; set by the background
+        this.confirmQuestion = null;
+        this.outboundQueue = new OutboundQueue(); // Messages waiting for the connection to come back
     }
 
     connect() {
         try {
             Logger.info('Attempting to connect to Neuro API...');
-            this.ws = new WebSocket(CONFIG.NEURO_WS_URL);
+            this.ws = new this.WebSocketImpl(CONFIG.NEURO_WS_URL);
             this.setupEventHandlers();
         } catch (error) {
             Logger.error('Error connecting to WebSocket:', error);
@@ -27,6 +41,21 @@ export class NeuroConnection {
         }
     }
 
+    // Connect unless a socket is already open or connecting, or a reconnect is already scheduled
+    ensureConnected() {
+        if (this.reconnectTimer || this.stayDisconnected) {
+            return;
+        }
+        const state = this.ws ? this.ws.readyState : this.WebSocketImpl.CLOSED;
+        if (state === this.WebSocketImpl.OPEN || state === this.WebSocketImpl.CONNECTING) {
+            return;
+        }
+
+        Logger.info('No Neuro connection after wakeup, connecting...');
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
     setupEventHandlers() {
         this.ws.onopen = () => this.handleOpen();
         this.ws.onclose = () => this.handleClose();
@@ -44,6 +73,9 @@ export class NeuroConnection {
         }
         
         this.sendStartup();
+        // startup clears Neuro's actions, so restore the session for a restarted Neuro server
+        this.replaySession();
+        this.flushQueue();
         Logger.broadcastConnectionStatus(true);
         
         if (this.reconnectAttempts > 1) {
@@ -108,11 +140,14 @@ export class NeuroConnection {
         );
         
         Logger.info(`Will attempt to reconnect in ${Math.round(delay/1000)} seconds (attempt ${this.reconnectAttempts})`);
-        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
     }
 
     sendStartup() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.ws && this.ws.readyState === this.WebSocketImpl.OPEN) {
             const msg = {
                 command: 'startup', 
                 game: CONFIG.GAME_NAME
@@ -124,8 +159,151 @@ export class NeuroConnection {
         }
     }
 
-    sendToNeuro(msg) {
-        if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+    rememberActions(actions) {
+        actions.forEach(action => this.registeredActions.set(action.name, action));
+        this.saveSession();
+    }
+
+    forgetActions(actionNames) {
+        actionNames.forEach(name => this.registeredActions.delete(name));
+        this.saveSession();
+    }
+
+    // tabId and question are the tab that sent the question and the question text it showed
+    rememberQuestionContext(contextData, { tabId = null, question = null } = {}) {
+        this.lastQuestionContext = { ...contextData, tabId, question };
+        this.saveSession();
+    }
+
+    // Stop replaying the remembered question once it was answered or its lesson or tab is gone.
+    // With a tabId, only a question sent by that tab is forgotten.
+    forgetQuestionContext(tabId = null) {
+        const context = this.lastQuestionContext;
+        if (!context || (tabId !== null && context.tabId && context.tabId !== tabId)) {
+            return;
+        }
+        this.lastQuestionContext = null;
+        this.saveSession();
+    }
+
+    // Send a new question to Neuro and remember it for replay. While disconnected only the newest
+    // question stays queued; silent contexts queued around it are kept.
+    sendQuestionContext(contextData, source = {}) {
+        this.rememberQuestionContext(contextData, source);
+        return this.sendToNeuro({
+            command: 'context',
+            game: CONFIG.GAME_NAME,
+            data: contextData
+        }, 'latest');
+    }
+
+    saveSession() {
+        chrome.storage.session.set({
+            [SESSION_STORAGE_KEY]: {
+                registeredActions: Array.from(this.registeredActions.values()),
+                lastQuestionContext: this.lastQuestionContext
+            }
+        }).catch(error => {
+            Logger.warn('Failed to save the Neuro session:', error);
+        });
+    }
+
+    // Load the actions and question saved before the service worker was suspended, so that
+    // replaySession sends them on the next connect. Returns true when a saved session was found.
+    async restoreSession() {
+        const stored = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+        const session = stored[SESSION_STORAGE_KEY];
+        if (!session) {
+            return false;
+        }
+
+        (session.registeredActions || []).forEach(action => {
+            if (!this.registeredActions.has(action.name)) {
+                this.registeredActions.set(action.name, action);
+            }
+        });
+        if (!this.lastQuestionContext) {
+            this.lastQuestionContext = session.lastQuestionContext || null;
+        }
+        return true;
+    }
+
+    // Re-register the last known actions and resend the current question after connecting
+    replaySession() {
+        if (this.registeredActions.size > 0) {
+            const actions = Array.from(this.registeredActions.values());
+            this.sendToNeuro({
+                command: 'actions/register',
+                game: CONFIG.GAME_NAME,
+                data: { actions }
+            });
+            Logger.info(`Replayed ${actions.length} registered actions after connecting`);
+        }
+
+        // A queued question is the remembered one, so let the flush send it in order with the contexts around it
+        if (this.lastQuestionContext && !this.outboundQueue.has('context', 'latest')) {
+            this.replayQuestionContext(this.lastQuestionContext).catch(error => {
+                Logger.warn('Could not replay the question context:', error);
+            });
+        }
+
+        if (this.popupManager && (this.registeredActions.size > 0 || this.lastQuestionContext)) {
+            this.popupManager.logInfo('Restored actions and question context after connecting', {
+                actionNames: Array.from(this.registeredActions.keys()).join(', '),
+                hasQuestionContext: Boolean(this.lastQuestionContext)
+            });
+        }
+    }
+
+    // Prompt Neuro with the remembered question again, but only if its tab still shows it.
+    // A question that is no longer on screen is forgotten instead of replayed.
+    async replayQuestionContext(questionContext) {
+        const current = this.confirmQuestion ? await this.confirmQuestion(questionContext).catch(() => false) : true;
+        if (this.lastQuestionContext !== questionContext) {
+            return; // A newer question was sent or this one was forgotten while checking
+        }
+        if (!current) {
+            Logger.info('The remembered question is no longer on screen, not replaying it');
+            this.forgetQuestionContext();
+            return;
+        }
+
+        this.sendToNeuro({
+            command: 'context',
+            game: CONFIG.GAME_NAME,
+            data: {
+                message: questionContext.message,
+                silent: false
+            }
+        }, 'latest');
+        Logger.info('Replayed the current question context after connecting');
+    }
+
+    // Send the messages queued while disconnected, in the order they were queued
+    flushQueue() {
+        const messages = this.outboundQueue.drain();
+        messages.forEach(msg => this.sendToNeuro(msg));
+        if (messages.length > 0) {
+            Logger.info(`Flushed ${messages.length} queued messages to Neuro`);
+            if (this.popupManager) {
+                this.popupManager.logInfo(`Flushed ${messages.length} queued messages to Neuro`, {
+                    commands: messages.map(msg => msg.command).join(', ')
+                });
+            }
+        }
+        this.updateQueueStatus();
+    }
+
+    updateQueueStatus() {
+        if (this.popupManager) {
+            this.popupManager.updateStatus({ queueDepth: this.outboundQueue.size });
+        }
+    }
+
+    // Send a message to Neuro, or queue it while disconnected. queuePolicy overrides
+    // the command's QUEUE_POLICIES entry for messages that need different handling.
+    sendToNeuro(msg, queuePolicy = undefined) {
+        if (this.isConnected && this.ws.readyState === this.WebSocketImpl.OPEN) {
             if (!msg.command) {
                 Logger.error('Invalid message format: missing command', msg);
                 return false;
@@ -138,38 +316,57 @@ export class NeuroConnection {
             Logger.info(`Sent ${msg.command} to Neuro`, msg.data);
             return true;
         } else {
-            Logger.warn('Cannot send message, not connected to Neuro API', msg);
+            if (this.outboundQueue.enqueue(msg, queuePolicy)) {
+                Logger.warn(`Not connected to Neuro API, queued ${msg.command} (${this.outboundQueue.size} pending)`, msg);
+                this.updateQueueStatus();
+            } else {
+                Logger.warn('Cannot send message, not connected to Neuro API', msg);
+            }
             return false;
         }
     }
 
     startHeartbeat() {
-        this.stopHeartbeat(); // Clear any existing interval
-        
-        this.heartbeatInterval = setInterval(() => {
-            if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-                const now = Date.now();
-                const timeSinceLastMessage = this.lastMessageTime ? (now - this.lastMessageTime) : 0;
-                
-                if (timeSinceLastMessage > CONFIG.HEARTBEAT_INTERVAL) {
-                    try {
-                        this.ws.send(JSON.stringify({
-                            command: 'ping',
-                            game: CONFIG.GAME_NAME
-                        }));
-                        Logger.debug('Sent ping to keep WebSocket connection alive');
-                    } catch (e) {
-                        Logger.warn('Failed to send ping:', e);
-                    }
+        this.stopHeartbeat(); // Clear any existing timer
+        this.scheduleHeartbeat();
+    }
+
+    // WebSocket traffic is what keeps Chrome from suspending the service worker, so the ping is timed
+    // from the last message or ping and the socket never stays silent for longer than pingAfter
+    scheduleHeartbeat() {
+        const pingAfter = Math.min(CONFIG.HEARTBEAT_INTERVAL, CONFIG.KEEPALIVE_PING_INTERVAL);
+        const lastActivity = Math.max(this.lastMessageTime || 0, this.lastPingTime || 0);
+        const elapsed = lastActivity ? (Date.now() - lastActivity) : 0;
+
+        this.heartbeatTimer = setTimeout(() => {
+            this.heartbeatTimer = null;
+            if (!this.isConnected || !this.ws || this.ws.readyState !== this.WebSocketImpl.OPEN) {
+                return;
+            }
+
+            // A message that arrived since scheduling moves the ping back, so only check the time again
+            const now = Date.now();
+            const quietFor = now - Math.max(this.lastMessageTime || 0, this.lastPingTime || 0);
+            if (quietFor >= pingAfter) {
+                this.lastPingTime = now; // Also on failure, so a broken socket isn't pinged again right away
+                try {
+                    this.ws.send(JSON.stringify({
+                        command: 'ping',
+                        game: CONFIG.GAME_NAME
+                    }));
+                    Logger.debug('Sent ping to keep WebSocket connection alive');
+                } catch (e) {
+                    Logger.warn('Failed to send ping:', e);
                 }
             }
-        }, CONFIG.HEARTBEAT_INTERVAL);
+            this.scheduleHeartbeat();
+        }, Math.max(0, pingAfter - elapsed));
     }
 
     stopHeartbeat() {
-        if (this.heartbeatInterval) {
-            clearInterval(this.heartbeatInterval);
-            this.heartbeatInterval = null;
+        if (this.heartbeatTimer) {
+            clearTimeout(this.heartbeatTimer);
+            this.heartbeatTimer = null;
         }
     }
 
@@ -193,16 +390,64 @@ export class NeuroConnection {
         });
     }
 
+    // Apply changed settings without reloading the extension
+    handleSettingsChange(changedKeys) {
+        if (changedKeys.includes('NEURO_WS_URL')) {
+            Logger.info(`Neuro API URL changed to ${CONFIG.NEURO_WS_URL}, reconnecting...`);
+            if (this.popupManager) {
+                this.popupManager.logInfo('Neuro API URL changed, reconnecting', { url: CONFIG.NEURO_WS_URL });
+            }
+            this.disconnect();
+            this.reconnectAttempts = 0;
+            this.connect();
+            return;
+        }
+
+        // Restart the heartbeat so a new interval takes effect immediately
+        if (changedKeys.includes('HEARTBEAT_INTERVAL') && this.isConnected) {
+            this.startHeartbeat();
+        }
+    }
+
+    // Reconnect right away instead of waiting for the backoff in scheduleReconnect
+    reconnectNow() {
+        Logger.info('Reconnecting to Neuro API now');
+        this.stayDisconnected = false;
+        this.disconnect();
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
+    // Close the connection and stay offline until reconnectNow is called
+    disconnectByUser() {
+        Logger.info('Disconnecting from Neuro API until reconnected from the popup');
+        this.stayDisconnected = true;
+        this.disconnect();
+    }
+
     disconnect() {
+        const wasConnected = this.isConnected;
         this.stopHeartbeat();
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
             this.reconnectTimer = null;
         }
         if (this.ws) {
+            // Detach the handlers so closing on purpose doesn't schedule a reconnect
+            this.ws.onopen = null;
+            this.ws.onclose = null;
+            this.ws.onerror = null;
+            this.ws.onmessage = null;
             this.ws.close();
             this.ws = null;
         }
         this.isConnected = false;
+
+        if (wasConnected) {
+            Logger.broadcastConnectionStatus(false, false);
+            if (this.popupManager) {
+                this.popupManager.logNeuroConnection(false);
+            }
+        }
     }
 }
@@ -0,0 +1,93 @@
+// src/options.js
+// Options page for editing connection and timing settings
+
+import { Settings, SETTING_RULES, SETTINGS_DEFAULTS } from './settings.js';
+
+class OptionsUI {
+    constructor() {
+        this.form = document.getElementById('settings-form');
+        this.resetButton = document.getElementById('reset');
+        this.saveStatusEl = document.getElementById('save-status');
+
+        this.setupEventListeners();
+        this.loadSettings();
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSettings();
+        });
+
+        this.resetButton.addEventListener('click', () => {
+            this.resetSettings();
+        });
+    }
+
+    async loadSettings() {
+        const stored = await chrome.storage.sync.get(Object.keys(SETTING_RULES));
+        const { settings } = Settings.validate(stored);
+        this.fillForm(settings);
+    }
+
+    fillForm(settings) {
+        Object.keys(SETTING_RULES).forEach(key => {
+            const input = document.getElementById(key);
+            if (input.type === 'checkbox') {
+                input.checked = settings[key];
+                return;
+            }
+            input.value = settings[key];
+            input.placeholder = SETTINGS_DEFAULTS[key];
+        });
+        this.showErrors({});
+    }
+
+    readForm() {
+        const values = {};
+        Object.keys(SETTING_RULES).forEach(key => {
+            const input = document.getElementById(key);
+            values[key] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return values;
+    }
+
+    showErrors(errors) {
+        Object.keys(SETTING_RULES).forEach(key => {
+            document.getElementById(key).classList.toggle('invalid', Boolean(errors[key]));
+            document.querySelector(`[data-error-for="${key}"]`).textContent = errors[key] || '';
+        });
+    }
+
+    showSaveStatus(message, success) {
+        this.saveStatusEl.textContent = message;
+        this.saveStatusEl.className = success ? 'connected' : 'disconnected';
+    }
+
+    async saveSettings() {
+        try {
+            const { saved, errors } = await Settings.save(this.readForm());
+            this.showErrors(errors);
+            if (saved) {
+                this.showSaveStatus('Settings saved. They apply immediately.', true);
+            } else {
+                this.showSaveStatus('Please fix the highlighted settings.', false);
+            }
+        } catch (error) {
+            this.showSaveStatus(`Failed to save settings: ${error.message}`, false);
+        }
+    }
+
+    async resetSettings() {
+        try {
+            this.fillForm(await Settings.reset());
+            this.showSaveStatus('Default settings restored.', true);
+        } catch (error) {
+            this.showSaveStatus(`Failed to restore defaults: ${error.message}`, false);
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsUI();
+});
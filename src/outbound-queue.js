@@ -0,0 +1,81 @@
+// src/outbound-queue.js
+// Holds messages for Neuro while the WebSocket is down and replays them on reconnect
+
+import { CONFIG } from './config.js';
+
+// How each command is queued while disconnected:
+// - deliver: always kept until it can be sent (never evicted)
+// - latest: only the newest 'latest' message of this command is kept
+// - expire: kept until CONFIG.FORCE_ACTION_TTL runs out
+// - skip: not queued at all, because it is rebuilt on connect (startup, action replay)
+// Commands without a policy are kept, but are the first to go when the queue is full.
+// Plain contexts use that default; question contexts are queued as 'latest' by the sender,
+// so a newer question replaces an older one without dropping the silent contexts around it.
+export const QUEUE_POLICIES = {
+    'action/result': 'deliver',
+    'shutdown/ready': 'deliver',
+    'actions/force': 'expire',
+    'actions/register': 'skip',
+    'actions/unregister': 'skip',
+    'startup': 'skip',
+    'ping': 'skip'
+};
+
+export class OutboundQueue {
+    constructor(maxSize = CONFIG.OUTBOUND_QUEUE_SIZE) {
+        this.maxSize = maxSize;
+        this.entries = [];
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Whether a message of this command is queued, optionally only one queued with the given policy
+    has(command, policy = null) {
+        return this.entries.some(entry => entry.msg.command === command && (policy === null || entry.policy === policy));
+    }
+
+    // Queue a message according to its command's policy, or the policy given by the sender;
+    // returns false when it was not queued
+    enqueue(msg, policy = QUEUE_POLICIES[msg.command] || 'default') {
+        if (policy === 'skip') {
+            return false;
+        }
+
+        if (policy === 'latest') {
+            this.entries = this.entries.filter(entry => entry.policy !== 'latest' || entry.msg.command !== msg.command);
+        }
+
+        this.entries.push({
+            msg,
+            policy,
+            expiresAt: policy === 'expire' ? Date.now() + CONFIG.FORCE_ACTION_TTL : null
+        });
+
+        this.evictOverflow();
+        return true;
+    }
+
+    // Drop the oldest evictable messages once the queue is over its limit.
+    // Results are never evicted; there is at most one per action Neuro sent, so they stay bounded.
+    evictOverflow() {
+        while (this.entries.length > this.maxSize) {
+            const index = this.entries.findIndex(entry => entry.policy !== 'deliver');
+            if (index === -1) {
+                return;
+            }
+            this.entries.splice(index, 1);
+        }
+    }
+
+    // Empty the queue, returning the messages that are still worth sending, oldest first
+    drain() {
+        const now = Date.now();
+        const messages = this.entries
+            .filter(entry => entry.expiresAt === null || entry.expiresAt > now)
+            .map(entry => entry.msg);
+        this.entries = [];
+        return messages;
+    }
+}
@@ -0,0 +1,154 @@
+// src/pending-actions.js
+// Tracks actions forwarded to a Duolingo tab so Neuro gets exactly one action/result per id
+
+import { CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+const MAX_COMPLETED_IDS = 200; // How many finished action ids are remembered to catch duplicates
+const PENDING_STORAGE_KEY = 'neuro_pending_actions'; // Survives a service worker restart, unlike the timers
+
+export class PendingActions {
+    constructor(connection, popupManager = null) {
+        this.connection = connection;
+        this.popupManager = popupManager;
+        this.pending = new Map(); // Action id -> { name, tabId, startTime, timer }
+        this.completedIds = new Set(); // Ids that already had a result sent, oldest first
+    }
+
+    setupListeners() {
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.failForTab(tabId, 'The Duolingo tab was closed before the action finished.');
+        });
+
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+            // A reload or full navigation destroys the content script that was running the action
+            if (changeInfo.status === 'loading') {
+                this.failForTab(tabId, 'The Duolingo page navigated away before the action finished.');
+            }
+        });
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    // Whether an action is still waiting for its result
+    has(actionId) {
+        return this.pending.has(actionId);
+    }
+
+    // Start tracking an action that is about to be sent to a tab
+    track(actionId, name, tabId) {
+        if (this.pending.has(actionId)) {
+            return;
+        }
+
+        const timer = this.startTimer(actionId, CONFIG.ACTION_TIMEOUT);
+        this.pending.set(actionId, { name, tabId, startTime: Date.now(), timer });
+        this.updateStatus();
+        this.save();
+    }
+
+    startTimer(actionId, timeout) {
+        return setTimeout(() => {
+            this.fail(actionId, `The action timed out after ${Math.round(timeout / 1000)} seconds without a result from the Duolingo tab.`);
+        }, timeout);
+    }
+
+    // Restart an action's timeout, e.g. while its answer waits for the operator's approval
+    extend(actionId, timeout) {
+        const entry = this.pending.get(actionId);
+        if (!entry) {
+            return;
+        }
+
+        clearTimeout(entry.timer);
+        entry.timer = this.startTimer(actionId, timeout);
+    }
+
+    // Mark an action as finished. Returns false when a result for this id was already sent,
+    // in which case the caller must not send another one.
+    complete(actionId) {
+        if (this.completedIds.has(actionId)) {
+            return false;
+        }
+
+        const entry = this.pending.get(actionId);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(actionId);
+        }
+
+        this.completedIds.add(actionId);
+        if (this.completedIds.size > MAX_COMPLETED_IDS) {
+            this.completedIds.delete(this.completedIds.values().next().value);
+        }
+
+        this.updateStatus();
+        this.save();
+        return true;
+    }
+
+    // Send a failure result for a pending action, unless it already has a result
+    fail(actionId, message) {
+        const entry = this.pending.get(actionId);
+        if (!this.complete(actionId)) {
+            return;
+        }
+
+        const name = entry ? entry.name : 'unknown';
+        Logger.warn(`Action ${actionId} (${name}) failed: ${message}`);
+        if (this.popupManager) {
+            this.popupManager.logActionResult({ id: actionId, success: false, message });
+        }
+
+        this.connection.sendToNeuro({
+            command: 'action/result',
+            game: CONFIG.GAME_NAME,
+            data: {
+                id: actionId,
+                success: false,
+                message
+            }
+        });
+    }
+
+    save() {
+        const actions = Array.from(this.pending.entries()).map(([id, entry]) => ({ id, name: entry.name, tabId: entry.tabId }));
+        chrome.storage.session.set({ [PENDING_STORAGE_KEY]: actions }).catch(error => {
+            Logger.warn('Failed to save pending actions:', error);
+        });
+    }
+
+    // Actions that were in flight when the service worker was suspended can no longer report
+    // a result, so fail them now instead of leaving Neuro waiting. Returns how many were failed.
+    async recoverAfterRestart() {
+        const stored = await chrome.storage.session.get(PENDING_STORAGE_KEY);
+        const actions = stored[PENDING_STORAGE_KEY] || [];
+
+        actions.forEach(({ id, name, tabId }) => {
+            if (!this.pending.has(id)) {
+                this.pending.set(id, { name, tabId, startTime: Date.now(), timer: null });
+            }
+            this.fail(id, 'The extension restarted before the action finished. Please try again.');
+        });
+        return actions.length;
+    }
+
+    failForTab(tabId, message) {
+        Array.from(this.pending.entries())
+            .filter(([, entry]) => entry.tabId === tabId)
+            .forEach(([actionId]) => this.fail(actionId, message));
+    }
+
+    updateStatus() {
+        if (this.popupManager) {
+            // The newest pending action is the one the Duolingo tab is working on
+            const newest = Array.from(this.pending.entries()).pop();
+            this.popupManager.updateStatus({
+                pendingActions: this.pending.size,
+                currentAction: newest ? { id: newest[0], name: newest[1].name } : null
+            });
+        }
+    }
+}
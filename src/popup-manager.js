@@ -1,35 +1,124 @@
-// Manages popup state and internal log caching when popup is closed
+// src/popup-manager.js
+// Manages popup state and internal log caching when popup is closed.
+// The log ring buffer and status are persisted in chrome.storage.session so they
+// survive the MV3 service worker being suspended and restarted.
 
-class PopupManager {
+const POPUP_STATE_STORAGE_KEY = 'neuro_popup_state';
+const PERSIST_DELAY = 500; // Batch storage writes that happen in quick succession
+
+// Status fields that describe live in-memory state and must not be restored after a restart
+const VOLATILE_STATUS_KEYS = ['neuroConnected', 'queueDepth', 'pendingActions', 'currentAction'];
+
+export class PopupManager {
     constructor() {
         this.logCache = [];
         this.statusCache = {
             neuroConnected: false,
             duolingoActive: false,
             lastEventTime: null,
-            lastEventType: 'None'
+            lastEventType: 'None',
+            lessonState: 'idle',
+            lessonProgress: 0,
+            historySummary: null,
+            controlledTab: null,
+            queueDepth: 0,
+            pendingActions: 0,
+            automationPaused: false,
+            currentQuestion: null,
+            lastAnswer: null,
+            pendingApproval: null,
+            currentAction: null
         };
         this.maxCacheSize = 200; // Store up to 200 log entries
         this.isPopupOpen = false;
-        
-        // Listen for popup open/close
-        this.setupPopupListeners();
+        this.popupPorts = new Set();
+        this.overlayPorts = new Set(); // Status overlays injected into Duolingo tabs
+        this.persistTimer = null;
     }
 
-    setupPopupListeners() {
-        // Track when popup opens
+    // Restore the log and status saved before the service worker was last suspended.
+    // Entries logged since startup are kept after the restored ones.
+    async restore() {
+        try {
+            const stored = await chrome.storage.session.get(POPUP_STATE_STORAGE_KEY);
+            const state = stored[POPUP_STATE_STORAGE_KEY];
+            if (!state) {
+                return false;
+            }
+
+            this.logCache = (state.logCache || []).concat(this.logCache).slice(-this.maxCacheSize);
+
+            const restoredStatus = { ...state.statusCache };
+            VOLATILE_STATUS_KEYS.forEach(key => delete restoredStatus[key]);
+            this.statusCache = { ...this.statusCache, ...restoredStatus };
+
+            this.broadcastStatus();
+            return true;
+        } catch (error) {
+            console.warn('Failed to restore popup state:', error);
+            return false;
+        }
+    }
+
+    schedulePersist() {
+        if (this.persistTimer) {
+            return;
+        }
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            chrome.storage.session.set({
+                [POPUP_STATE_STORAGE_KEY]: {
+                    logCache: this.logCache,
+                    statusCache: this.statusCache
+                }
+            }).catch(error => {
+                console.warn('Failed to persist popup state:', error);
+            });
+        }, PERSIST_DELAY);
+    }
+
+    // Setup popup connection listeners. Controls sent by the popup over its port are passed to
+    // onControl(message, sender, sendResponse); the response goes back as a control_result message.
+    setupPopupListeners(onControl = null) {
         chrome.runtime.onConnect.addListener((port) => {
             if (port.name === 'popup') {
                 this.isPopupOpen = true;
+                this.popupPorts.add(port);
                 console.log('Popup opened');
-                
-                // Send cached logs to newly opened popup
+
+                // Send cached data to newly opened popup
                 this.sendCachedData(port);
-                
+
+                port.onMessage.addListener((message) => {
+                    if (!onControl) {
+                        return;
+                    }
+                    onControl(message, port.sender, (response) => {
+                        try {
+                            port.postMessage({ type: 'control_result', request: message.type, data: response });
+                        } catch (error) {
+                            // The popup was closed before the control finished
+                        }
+                    });
+                });
+
                 port.onDisconnect.addListener(() => {
-                    this.isPopupOpen = false;
+                    this.popupPorts.delete(port);
+                    this.isPopupOpen = this.popupPorts.size > 0;
                     console.log('Popup closed');
                 });
+            } else if (port.name === 'overlay') {
+                // The on-page overlay only needs status, not the log
+                this.overlayPorts.add(port);
+                port.postMessage({
+                    type: 'status_update',
+                    data: this.statusCache
+                });
+
+                port.onDisconnect.addListener(() => {
+                    this.overlayPorts.delete(port);
+                });
             }
         });
     }
@@ -66,6 +155,7 @@ class PopupManager {
         if (this.logCache.length > this.maxCacheSize) {
             this.logCache = this.logCache.slice(-this.maxCacheSize);
         }
+        this.schedulePersist();
 
         // If popup is open, send immediately
         if (this.isPopupOpen) {
@@ -81,35 +171,53 @@ class PopupManager {
     updateStatus(statusUpdate) {
         // Update cached status
         Object.assign(this.statusCache, statusUpdate);
-
-        // If popup is open, broadcast update
-        if (this.isPopupOpen) {
-            this.broadcastToPopup({
-                type: 'status_update',
-                data: this.statusCache
-            });
-        }
+        this.schedulePersist();
+        this.broadcastStatus();
     }
 
     updateLastEvent(eventType, eventTime = new Date()) {
         this.statusCache.lastEventTime = eventTime.toISOString();
         this.statusCache.lastEventType = eventType;
+        this.schedulePersist();
+        this.broadcastStatus();
+    }
+
+    // Send the current status to the popup, if open, and to every on-page overlay
+    broadcastStatus() {
+        const message = {
+            type: 'status_update',
+            data: this.statusCache
+        };
 
         if (this.isPopupOpen) {
-            this.broadcastToPopup({
-                type: 'status_update',
-                data: this.statusCache
-            });
+            this.broadcastToPopup(message);
         }
+        this.overlayPorts.forEach(port => {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                this.overlayPorts.delete(port);
+            }
+        });
     }
 
     broadcastToPopup(message) {
         // Send message to all popup connections
-        try {
-            chrome.runtime.sendMessage(message);
-        } catch (error) {
-            console.warn('Failed to send message to popup:', error);
-        }
+        this.popupPorts.forEach(port => {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                console.warn('Failed to send message to popup port:', error);
+                this.popupPorts.delete(port);
+            }
+        });
+    }
+
+    // Clear the log cache, including the copy saved for service worker restarts
+    clearLog() {
+        this.logCache = [];
+        this.schedulePersist();
+        this.broadcastToPopup({ type: 'log_cleared' });
     }
 
     // Helper methods for different log types
@@ -182,7 +290,7 @@ class PopupManager {
     logActionResult(resultData) {
         const success = resultData.success;
         const status = success ? 'SUCCESS' : 'FAILED';
-        
+
         this.addLogEntry({
             level: success ? 'info' : 'error',
             message: `Action ${status} - ID: ${resultData.id}`,
@@ -202,10 +310,3 @@ class PopupManager {
         };
     }
 }
-
-// Export for use in background script
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = PopupManager;
-} else if (typeof window !== 'undefined') {
-    window.PopupManager = PopupManager;
-}
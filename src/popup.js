@@ -1,14 +1,47 @@
 // New popup.js integrated with PopupManager caching system
+
+const MAX_LOG_ENTRIES = 500; // Entries kept in the popup for filtering and searching
+
 class PopupUI {
     constructor() {
         this.statusEl = document.getElementById('status');
         this.logEl = document.getElementById('log');
         this.neuroStatusEl = document.getElementById('neuro-status');
+        this.queueStatusEl = document.getElementById('queue-status');
         this.duolingoStatusEl = document.getElementById('duolingo-status');
         this.lastEventEl = document.getElementById('last-event');
+        this.lessonStatusEl = document.getElementById('lesson-status');
+        this.accuracyEl = document.getElementById('accuracy');
+        this.tabSelectEl = document.getElementById('tab-select');
+        this.controlledTabEl = document.getElementById('controlled-tab');
+        this.levelFilterEl = document.getElementById('level-filter');
+        this.sourceFilterEl = document.getElementById('source-filter');
+        this.logSearchEl = document.getElementById('log-search');
+        this.toggleScrollEl = document.getElementById('toggle-scroll');
+        this.exportLogEl = document.getElementById('export-log');
+        this.logCountEl = document.getElementById('log-count');
+        this.automationStatusEl = document.getElementById('automation-status');
+        this.toggleAutomationEl = document.getElementById('toggle-automation');
+        this.automationPaused = false;
+        this.questionTypeEl = document.getElementById('question-type');
+        this.questionTextEl = document.getElementById('question-text');
+        this.questionItemsEl = document.getElementById('question-items');
+        this.lastAnswerEl = document.getElementById('last-answer');
+        this.approvalPanelEl = document.getElementById('approval-panel');
+        this.approvalQuestionEl = document.getElementById('approval-question');
+        this.approvalAnswerEl = document.getElementById('approval-answer');
+        this.approvalReasonEl = document.getElementById('approval-reason');
+        this.approvalCountdownEl = document.getElementById('approval-countdown');
+        this.pendingApproval = null;
+        this.approvalTimer = null;
         
         // Connection port for receiving messages from background
         this.port = null;
+        this.pinnedTabId = null;
+        
+        // Every received entry, so changing a filter can show older matches again
+        this.logEntries = [];
+        this.autoScroll = true;
         
         // Initialize UI
         this.initializeConnection();
@@ -17,7 +50,9 @@ class PopupUI {
             neuroConnected: false,
             duolingoActive: false,
             lastEventTime: null,
-            lastEventType: 'None'
+            lastEventType: 'None',
+            lessonState: 'idle',
+            lessonProgress: 0
         });
     }
 
@@ -41,8 +76,104 @@ class PopupUI {
     }
 
     setupEventListeners() {
-        // Add any popup-specific event listeners here
-        // For example, clear log button, settings, etc.
+        // Pin the lesson to a specific Duolingo tab, or go back to following focus
+        this.tabSelectEl.addEventListener('change', () => {
+            const tabId = this.tabSelectEl.value ? parseInt(this.tabSelectEl.value, 10) : null;
+            chrome.runtime.sendMessage({
+                type: 'neuro_pin_tab',
+                data: { tabId }
+            }).then(response => {
+                if (!response || !response.ok) {
+                    this.addManualLog(`Failed to pin tab: ${response ? response.error : 'no response'}`, 'error');
+                }
+            }).catch(error => {
+                this.addManualLog(`Failed to pin tab: ${error.message}`, 'error');
+            });
+        });
+
+        // Control panel buttons are sent to the background over the popup port
+        this.toggleAutomationEl.addEventListener('click', () => {
+            this.sendControl('set_automation_paused', { paused: !this.automationPaused });
+        });
+        document.getElementById('reconnect-neuro').addEventListener('click', () => this.sendControl('reconnect_neuro'));
+        document.getElementById('disconnect-neuro').addEventListener('click', () => this.sendControl('disconnect_neuro'));
+        document.getElementById('resend-context').addEventListener('click', () => this.sendControl('resend_context'));
+        document.getElementById('reregister-actions').addEventListener('click', () => this.sendControl('reregister_actions'));
+        document.getElementById('clear-log').addEventListener('click', () => this.sendControl('clear_log'));
+        document.getElementById('show-overlay').addEventListener('click', () => this.sendControl('show_overlay'));
+
+        // Approve (possibly edited) or reject the answer waiting for the operator
+        document.getElementById('approve-answer').addEventListener('click', () => {
+            if (this.pendingApproval) {
+                this.sendControl('approval_decision', {
+                    id: this.pendingApproval.id,
+                    approved: true,
+                    answer: this.approvalAnswerEl.value.trim() || this.pendingApproval.answer
+                });
+            }
+        });
+        document.getElementById('reject-answer').addEventListener('click', () => {
+            if (this.pendingApproval) {
+                this.sendControl('approval_decision', {
+                    id: this.pendingApproval.id,
+                    approved: false,
+                    reason: this.approvalReasonEl.value.trim() || 'No reason given'
+                });
+            }
+        });
+
+        // Log filters and search re-render the list from the kept entries
+        this.levelFilterEl.addEventListener('change', () => this.renderLog());
+        this.sourceFilterEl.addEventListener('change', () => this.renderLog());
+        this.logSearchEl.addEventListener('input', () => this.renderLog());
+
+        this.toggleScrollEl.addEventListener('click', () => {
+            this.autoScroll = !this.autoScroll;
+            this.toggleScrollEl.textContent = this.autoScroll ? 'Pause Scroll' : 'Resume Scroll';
+            if (this.autoScroll) {
+                this.logEl.scrollTop = this.logEl.scrollHeight;
+            }
+        });
+
+        this.exportLogEl.addEventListener('click', () => this.exportLog());
+
+        this.refreshTabList();
+    }
+
+    sendControl(type, data = null) {
+        try {
+            this.port.postMessage({ type, data });
+        } catch (error) {
+            this.addManualLog(`Failed to send ${type}: ${error.message}`, 'error');
+        }
+    }
+
+    handleControlResult(request, response) {
+        if (response && response.ok === false) {
+            this.addManualLog(`${request} failed: ${response.error || 'unknown error'}`, 'error');
+        }
+    }
+
+    // Fill the tab selector with the open Duolingo tabs
+    async refreshTabList() {
+        const tabs = await chrome.tabs.query({ url: 'https://www.duolingo.com/*' });
+
+        while (this.tabSelectEl.options.length > 1) {
+            this.tabSelectEl.remove(1);
+        }
+        tabs.forEach(tab => {
+            const option = document.createElement('option');
+            option.value = String(tab.id);
+            option.textContent = `Tab ${tab.id}: ${tab.title || tab.url}`;
+            this.tabSelectEl.appendChild(option);
+        });
+        this.selectPinnedTab();
+    }
+
+    selectPinnedTab() {
+        const pinned = this.pinnedTabId !== null ? String(this.pinnedTabId) : '';
+        const hasOption = Array.from(this.tabSelectEl.options).some(option => option.value === pinned);
+        this.tabSelectEl.value = hasOption ? pinned : '';
     }
 
     handleMessage(message) {
@@ -56,13 +187,21 @@ class PopupUI {
             case 'new_log':
                 this.addLogEntry(message.data, false); // false = live log
                 break;
+            case 'log_cleared':
+                this.logEntries = [];
+                this.logEl.innerHTML = '';
+                this.updateLogCount();
+                break;
+            case 'control_result':
+                this.handleControlResult(message.request, message.data);
+                break;
             default:
                 console.log('Unknown message type:', message.type);
         }
     }
 
     updateStatus(statusData) {
-        const { neuroConnected, duolingoActive, lastEventTime, lastEventType } = statusData;
+        const { neuroConnected, duolingoActive, lastEventTime, lastEventType, lessonState, lessonProgress, historySummary, controlledTab, queueDepth, pendingActions, automationPaused, currentQuestion, lastAnswer, pendingApproval } = statusData;
         
         // Update main status message
         if (neuroConnected && duolingoActive) {
@@ -80,9 +219,58 @@ class PopupUI {
         this.neuroStatusEl.textContent = neuroConnected ? 'Connected' : 'Disconnected';
         this.neuroStatusEl.className = neuroConnected ? 'connected' : 'disconnected';
         
+        // Show how many messages are waiting for the Neuro connection and how many actions are running
+        const counters = [
+            queueDepth ? `${queueDepth} queued` : null,
+            pendingActions ? `${pendingActions} pending action${pendingActions === 1 ? '' : 's'}` : null
+        ].filter(Boolean);
+        this.queueStatusEl.textContent = counters.length > 0 ? `(${counters.join(', ')})` : '';
+        
         this.duolingoStatusEl.textContent = duolingoActive ? 'Active' : 'Not Detected';
         this.duolingoStatusEl.className = duolingoActive ? 'connected' : 'unknown';
         
+        // Update lesson lifecycle state
+        const lessonLabels = {
+            idle: 'Not in a lesson',
+            in_progress: `In progress (${lessonProgress || 0}%)`,
+            complete: 'Complete',
+            failed: 'Failed (out of hearts)'
+        };
+        this.lessonStatusEl.textContent = lessonLabels[lessonState] || 'Unknown';
+        this.lessonStatusEl.className = lessonState === 'failed' ? 'disconnected' :
+            (lessonState === 'idle' ? 'unknown' : 'connected');
+        
+        // Update stored answer accuracy
+        if (historySummary && historySummary.answered > 0) {
+            this.accuracyEl.textContent = `${historySummary.accuracy}% (${historySummary.correct}/${historySummary.answered})`;
+        } else {
+            this.accuracyEl.textContent = 'No answers yet';
+        }
+        
+        // Update which tab receives Neuro's actions
+        this.pinnedTabId = controlledTab && controlledTab.pinned ? controlledTab.id : null;
+        this.selectPinnedTab();
+        if (controlledTab) {
+            this.controlledTabEl.textContent = `${controlledTab.pinned ? 'Pinned' : 'Controlling'}: ${controlledTab.title || `tab ${controlledTab.id}`}`;
+            this.controlledTabEl.className = 'connected';
+        } else {
+            this.controlledTabEl.textContent = 'No Duolingo tab';
+            this.controlledTabEl.className = 'unknown';
+        }
+        
+        // Update the automation pause state and its toggle
+        this.automationPaused = Boolean(automationPaused);
+        this.automationStatusEl.textContent = this.automationPaused ? 'Paused' : 'Running';
+        this.automationStatusEl.className = this.automationPaused ? 'unknown' : 'connected';
+        this.toggleAutomationEl.textContent = this.automationPaused ? 'Resume Automation' : 'Pause Automation';
+        
+        // Show the answer waiting for approval, if any
+        this.updateApprovalPanel(pendingApproval);
+        
+        // Update the current question panel
+        this.updateQuestionPanel(currentQuestion);
+        this.updateLastAnswer(lastAnswer);
+        
         // Update last event
         if (lastEventTime) {
             const eventTime = new Date(lastEventTime);
@@ -92,7 +280,137 @@ class PopupUI {
         }
     }
 
+    updateApprovalPanel(pendingApproval) {
+        const isNew = pendingApproval && (!this.pendingApproval || this.pendingApproval.id !== pendingApproval.id);
+        this.pendingApproval = pendingApproval || null;
+        this.approvalPanelEl.hidden = !this.pendingApproval;
+        clearInterval(this.approvalTimer);
+        this.approvalTimer = null;
+        if (!this.pendingApproval) {
+            return;
+        }
+        
+        // Don't overwrite what the operator is typing when an unrelated status update arrives
+        if (isNew) {
+            this.approvalQuestionEl.textContent = pendingApproval.question;
+            this.approvalAnswerEl.value = pendingApproval.answer;
+            this.approvalAnswerEl.title = pendingApproval.contextType === 'match' ? 'Pairs as left=right; left=right' :
+                pendingApproval.contextType === 'tap' ? 'Tiles in order, comma separated; a number picks that tile' : '';
+            this.approvalReasonEl.value = '';
+        }
+        
+        const deadline = new Date(pendingApproval.requestedAt).getTime() + pendingApproval.timeout;
+        const updateCountdown = () => {
+            const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            this.approvalCountdownEl.textContent = `(auto-${pendingApproval.timeoutAction} in ${seconds}s)`;
+        };
+        updateCountdown();
+        this.approvalTimer = setInterval(updateCountdown, 1000);
+    }
+
+    // Show the latest extractQuestionContext() result from the lesson tab, with the selection highlighted
+    updateQuestionPanel(context) {
+        this.questionItemsEl.innerHTML = '';
+        if (!context || !context.question) {
+            this.questionTypeEl.textContent = '';
+            this.questionTextEl.textContent = 'No question on screen';
+            return;
+        }
+        
+        this.questionTypeEl.textContent = `(${context.contextType}${context.isAudioQuestion ? ', audio' : ''})`;
+        this.questionTextEl.textContent = context.question;
+        
+        if (context.contextType === 'choice') {
+            this.questionItemsEl.appendChild(this.createItemList(
+                context.options.map(option => ({ text: option.text, selected: option.isSelected })), true));
+        } else if (context.contextType === 'tap') {
+            this.questionItemsEl.appendChild(this.createItemList(
+                context.tokens.map(token => ({ text: token, selected: false })), true));
+            const selection = document.createElement('div');
+            selection.textContent = `Selected: ${context.selectedTokens.length > 0 ? context.selectedTokens.join(' ') : 'nothing yet'}`;
+            this.questionItemsEl.appendChild(selection);
+        } else if (context.contextType === 'match') {
+            const columns = document.createElement('div');
+            columns.className = 'question-columns';
+            const matched = context.matchedTokens.map(text => ({ text, matched: true }));
+            columns.appendChild(this.createItemList(context.leftColumn.map(text => ({ text })), false));
+            columns.appendChild(this.createItemList(context.rightColumn.map(text => ({ text })), false));
+            this.questionItemsEl.appendChild(columns);
+            if (matched.length > 0) {
+                this.questionItemsEl.appendChild(this.createItemList(matched, false));
+            }
+        } else if (context.contextType === 'text') {
+            const input = document.createElement('div');
+            input.textContent = `Typed: ${context.textInputValue || '(empty)'}`;
+            this.questionItemsEl.appendChild(input);
+        }
+    }
+
+    createItemList(items, numbered) {
+        const list = document.createElement(numbered ? 'ol' : 'ul');
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = item.text;
+            if (item.selected) {
+                li.className = 'selected';
+            } else if (item.matched) {
+                li.className = 'matched';
+            }
+            list.appendChild(li);
+        });
+        return list;
+    }
+
+    // Show the last submit_answer parameters and, once graded, whether the answer was correct
+    updateLastAnswer(lastAnswer) {
+        if (!lastAnswer) {
+            this.lastAnswerEl.textContent = 'No answer submitted yet';
+            this.lastAnswerEl.className = '';
+            return;
+        }
+        
+        const answerText = formatAnswerText(lastAnswer.answer);
+        let outcome = 'waiting for grading';
+        let className = 'unknown';
+        if (lastAnswer.correct !== null) {
+            outcome = lastAnswer.correct ? 'correct' :
+                `incorrect${lastAnswer.correctSolution ? ` (correct solution: ${lastAnswer.correctSolution})` : ''}`;
+            className = lastAnswer.correct ? 'connected' : 'disconnected';
+        } else if (lastAnswer.success === false) {
+            outcome = `failed: ${lastAnswer.resultMessage}`;
+            className = 'disconnected';
+        } else if (lastAnswer.success === true) {
+            outcome = 'submitted, not graded';
+        }
+        
+        this.lastAnswerEl.textContent = `Neuro answered "${answerText}" - ${outcome}`;
+        this.lastAnswerEl.title = JSON.stringify(lastAnswer.parameters);
+        this.lastAnswerEl.className = className;
+    }
+
     addLogEntry(logData, isFromCache = false) {
+        const entry = { logData, isFromCache, element: null };
+        this.logEntries.push(entry);
+        
+        // Keep log size manageable
+        while (this.logEntries.length > MAX_LOG_ENTRIES) {
+            const removed = this.logEntries.shift();
+            if (removed.element) {
+                removed.element.remove();
+            }
+        }
+        
+        if (this.matchesFilters(logData)) {
+            entry.element = this.createLogElement(logData, isFromCache);
+            this.logEl.appendChild(entry.element);
+            if (this.autoScroll) {
+                this.logEl.scrollTop = this.logEl.scrollHeight;
+            }
+        }
+        this.updateLogCount();
+    }
+
+    createLogElement(logData, isFromCache) {
         const div = document.createElement('div');
         const timestamp = new Date(logData.timestamp);
         
@@ -106,7 +424,8 @@ class PopupUI {
         let message = `[${timestamp.toLocaleTimeString()}] ${cacheIndicator}${logData.message}`;
         
         // Add data if present
-        if (logData.data && Object.keys(logData.data).length > 0) {
+        const hasData = logData.data && Object.keys(logData.data).length > 0;
+        if (hasData) {
             // Format data nicely for display
             const dataStr = this.formatLogData(logData.data);
             if (dataStr) {
@@ -119,13 +438,81 @@ class PopupUI {
             message += ` [${logData.source.toUpperCase()}]`;
         }
         
-        div.textContent = message;
-        this.logEl.appendChild(div);
-        this.logEl.scrollTop = this.logEl.scrollHeight;
+        if (!hasData) {
+            div.textContent = message;
+            return div;
+        }
+        
+        // Entries with data expand to show the full payload
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = message;
+        const payload = document.createElement('pre');
+        payload.textContent = typeof logData.data === 'string' ? logData.data : JSON.stringify(logData.data, null, 2);
+        details.appendChild(summary);
+        details.appendChild(payload);
+        div.appendChild(details);
+        return div;
+    }
+
+    matchesFilters(logData) {
+        const level = this.levelFilterEl.value;
+        const source = this.sourceFilterEl.value;
+        const search = this.logSearchEl.value.trim().toLowerCase();
         
-        // Keep log size manageable (limit to 100 visible entries)
-        while (this.logEl.childNodes.length > 100) {
-            this.logEl.removeChild(this.logEl.firstChild);
+        if (level && logData.level !== level) {
+            return false;
+        }
+        if (source && (logData.source || 'system') !== source) {
+            return false;
+        }
+        if (search) {
+            const text = `${logData.message} ${logData.data ? JSON.stringify(logData.data) : ''}`.toLowerCase();
+            return text.includes(search);
+        }
+        return true;
+    }
+
+    // Rebuild the visible log after a filter or the search text changed
+    renderLog() {
+        this.logEl.innerHTML = '';
+        this.logEntries.forEach(entry => {
+            entry.element = this.matchesFilters(entry.logData) ? this.createLogElement(entry.logData, entry.isFromCache) : null;
+            if (entry.element) {
+                this.logEl.appendChild(entry.element);
+            }
+        });
+        if (this.autoScroll) {
+            this.logEl.scrollTop = this.logEl.scrollHeight;
+        }
+        this.updateLogCount();
+    }
+
+    updateLogCount() {
+        const shown = this.logEntries.filter(entry => entry.element).length;
+        this.logCountEl.textContent = shown === this.logEntries.length ?
+            `(${shown})` : `(${shown} of ${this.logEntries.length})`;
+    }
+
+    // Download the complete background log cache as NDJSON, one entry per line
+    async exportLog() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'get_log_cache' });
+            if (!response || !response.ok) {
+                throw new Error(response ? response.error : 'no response');
+            }
+            
+            const ndjson = response.logs.map(logEntry => JSON.stringify(logEntry)).join('\n') + '\n';
+            const url = URL.createObjectURL(new Blob([ndjson], { type: 'application/x-ndjson' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `neuro-duolingo-log-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            this.addManualLog(`Exported ${response.logs.length} log entries`, 'info');
+        } catch (error) {
+            this.addManualLog(`Failed to export log: ${error.message}`, 'error');
         }
     }
 
@@ -172,6 +559,7 @@ class PopupUI {
 
     // Clear log display (but doesn't affect cache)
     clearLogDisplay() {
+        this.logEntries = [];
         this.logEl.innerHTML = '';
         this.addManualLog('Log display cleared', 'info');
     }
@@ -0,0 +1,137 @@
+// src/settings.js
+// User-editable connection and timing settings stored in chrome.storage.sync
+
+import { CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+// Validation rules for every setting the options page can change
+export const SETTING_RULES = {
+    NEURO_WS_URL: { type: 'url' },
+    RECONNECT_INTERVAL: { type: 'number', min: 1000, max: 300000 },
+    MAX_RECONNECT_INTERVAL: { type: 'number', min: 1000, max: 3600000 },
+    MAX_RECONNECT_ATTEMPTS: { type: 'number', min: 1, max: 100 },
+    HEARTBEAT_INTERVAL: { type: 'number', min: 1000, max: 300000 },
+    ACTION_TIMEOUT: { type: 'number', min: 1000, max: 300000 },
+    DEBOUNCE_DELAY: { type: 'number', min: 0, max: 10000 },
+    CONTEXT_CHANGE_THRESHOLD: { type: 'number', min: 0, max: 60000 },
+    ANSWER_COOLDOWN_PERIOD: { type: 'number', min: 0, max: 60000 },
+    ACTION_REGISTRATION_THRESHOLD: { type: 'number', min: 0, max: 300000 },
+    TYPING_DELAY: { type: 'number', min: 0, max: 1000 },
+    APPROVAL_MODE: { type: 'boolean' },
+    APPROVAL_TIMEOUT: { type: 'number', min: 5000, max: 600000 },
+    APPROVAL_TIMEOUT_ACTION: { type: 'choice', choices: ['approve', 'reject'] }
+};
+
+// Defaults are captured from CONFIG before any stored settings are applied to it
+export const SETTINGS_DEFAULTS = Object.freeze(
+    Object.fromEntries(Object.keys(SETTING_RULES).map(key => [key, CONFIG[key]]))
+);
+
+export class Settings {
+    // Check a set of values against SETTING_RULES.
+    // Invalid values are replaced by their defaults and reported in errors.
+    static validate(values) {
+        const settings = { ...SETTINGS_DEFAULTS };
+        const errors = {};
+
+        Object.entries(SETTING_RULES).forEach(([key, rule]) => {
+            const value = values[key];
+            if (value === undefined || value === null || value === '') {
+                return;
+            }
+
+            if (rule.type === 'url') {
+                let url = null;
+                try {
+                    url = new URL(String(value).trim());
+                } catch (e) {
+                    // Reported below
+                }
+                if (!url || (url.protocol !== 'ws:' && url.protocol !== 'wss:')) {
+                    errors[key] = 'Must be a ws:// or wss:// URL';
+                    return;
+                }
+                settings[key] = String(value).trim();
+                return;
+            }
+
+            if (rule.type === 'boolean') {
+                if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+                    errors[key] = 'Must be on or off';
+                    return;
+                }
+                settings[key] = value === true || value === 'true';
+                return;
+            }
+
+            if (rule.type === 'choice') {
+                if (!rule.choices.includes(value)) {
+                    errors[key] = `Must be one of: ${rule.choices.join(', ')}`;
+                    return;
+                }
+                settings[key] = value;
+                return;
+            }
+
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+                errors[key] = `Must be a whole number between ${rule.min} and ${rule.max}`;
+                return;
+            }
+            settings[key] = number;
+        });
+
+        if (settings.MAX_RECONNECT_INTERVAL < settings.RECONNECT_INTERVAL) {
+            errors.MAX_RECONNECT_INTERVAL = 'Must not be shorter than the reconnect interval';
+            settings.MAX_RECONNECT_INTERVAL = Math.max(SETTINGS_DEFAULTS.MAX_RECONNECT_INTERVAL, settings.RECONNECT_INTERVAL);
+        }
+
+        return { settings, errors };
+    }
+
+    // Read the stored settings, apply them to CONFIG and return them
+    static async load() {
+        const stored = await chrome.storage.sync.get(Object.keys(SETTING_RULES));
+        const { settings, errors } = this.validate(stored);
+        if (Object.keys(errors).length > 0) {
+            Logger.warn('Ignoring invalid stored settings', errors);
+        }
+
+        Object.assign(CONFIG, settings);
+        return settings;
+    }
+
+    // Validate and store new settings; nothing is saved when any value is invalid
+    static async save(values) {
+        const { settings, errors } = this.validate(values);
+        if (Object.keys(errors).length > 0) {
+            return { saved: false, settings, errors };
+        }
+
+        await chrome.storage.sync.set(settings);
+        return { saved: true, settings, errors };
+    }
+
+    static async reset() {
+        await chrome.storage.sync.remove(Object.keys(SETTING_RULES));
+        return { ...SETTINGS_DEFAULTS };
+    }
+
+    // Re-apply settings whenever they change in storage and report which keys changed
+    static watch(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync') {
+                return;
+            }
+
+            const changedKeys = Object.keys(changes).filter(key => key in SETTING_RULES);
+            if (changedKeys.length === 0) {
+                return;
+            }
+
+            this.load()
+                .then(settings => callback(changedKeys, settings))
+                .catch(error => Logger.error('Failed to apply changed settings:', error));
+        });
+    }
+}
@@ -0,0 +1,188 @@
+// src/status-overlay.js
+
+console.log('Neuro-Duolingo status-overlay.js loaded');
+
+// Overlay position, collapsed and hidden state last for the tab's session
+const OVERLAY_STATE_KEY = 'neuroOverlayState';
+const OVERLAY_RECONNECT_DELAY = 2000; // Wait before reconnecting after the background restarted
+
+let overlayElement = null;
+let overlayState = { hidden: false, collapsed: false, left: null, top: null };
+
+function loadOverlayState() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(OVERLAY_STATE_KEY));
+        if (stored) {
+            overlayState = { ...overlayState, ...stored };
+        }
+    } catch (error) {
+        // Keep the defaults if the stored state is unreadable
+    }
+}
+
+function saveOverlayState() {
+    try {
+        sessionStorage.setItem(OVERLAY_STATE_KEY, JSON.stringify(overlayState));
+    } catch (error) {
+        // Storage can be unavailable, the overlay still works for this page
+    }
+}
+
+// Build the overlay once; status updates only change its text
+function createStatusOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'neuro-status neuro-overlay';
+
+    const header = document.createElement('div');
+    header.className = 'neuro-overlay-header';
+
+    const title = document.createElement('span');
+    title.className = 'neuro-overlay-title';
+    title.dataset.field = 'title';
+    title.textContent = 'Neuro';
+
+    const collapseButton = document.createElement('button');
+    collapseButton.title = 'Collapse';
+    collapseButton.dataset.field = 'collapse';
+    collapseButton.addEventListener('click', () => {
+        overlayState.collapsed = !overlayState.collapsed;
+        saveOverlayState();
+        applyOverlayState();
+    });
+
+    const hideButton = document.createElement('button');
+    hideButton.title = 'Hide for this session (show it again from the popup)';
+    hideButton.textContent = '×';
+    hideButton.addEventListener('click', () => setOverlayHidden(true));
+
+    header.append(title, collapseButton, hideButton);
+
+    const body = document.createElement('div');
+    body.className = 'neuro-overlay-body';
+    ['automation', 'action', 'answer', 'result'].forEach(field => {
+        const row = document.createElement('div');
+        row.dataset.field = field;
+        body.appendChild(row);
+    });
+
+    overlay.append(header, body);
+    makeOverlayDraggable(overlay, header);
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+// Drag the overlay by its header and remember where it was dropped
+function makeOverlayDraggable(overlay, handle) {
+    handle.addEventListener('pointerdown', (event) => {
+        if (event.target.closest('button')) {
+            return;
+        }
+
+        const rect = overlay.getBoundingClientRect();
+        const offsetX = event.clientX - rect.left;
+        const offsetY = event.clientY - rect.top;
+        handle.setPointerCapture(event.pointerId);
+
+        const onMove = (moveEvent) => {
+            overlayState.left = Math.min(Math.max(0, moveEvent.clientX - offsetX), window.innerWidth - rect.width);
+            overlayState.top = Math.min(Math.max(0, moveEvent.clientY - offsetY), window.innerHeight - rect.height);
+            applyOverlayState();
+        };
+        const onUp = () => {
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onUp);
+            saveOverlayState();
+        };
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onUp);
+    });
+}
+
+function applyOverlayState() {
+    overlayElement.hidden = overlayState.hidden;
+    overlayElement.classList.toggle('collapsed', overlayState.collapsed);
+    overlayElement.querySelector('[data-field="collapse"]').textContent = overlayState.collapsed ? '+' : '−';
+    if (overlayState.left !== null && overlayState.top !== null) {
+        overlayElement.style.left = `${overlayState.left}px`;
+        overlayElement.style.top = `${overlayState.top}px`;
+        overlayElement.style.right = 'auto';
+    }
+}
+
+function setOverlayHidden(hidden) {
+    overlayState.hidden = hidden;
+    saveOverlayState();
+    applyOverlayState();
+    logToPopup('info', hidden ? 'Status overlay hidden for this session' : 'Status overlay shown');
+}
+
+function setOverlayField(field, text, className = '') {
+    const row = overlayElement.querySelector(`.neuro-overlay-body [data-field="${field}"]`);
+    row.textContent = text;
+    row.className = className;
+}
+
+// Show the background's status: connection, the action in progress and Neuro's last answer
+function updateStatusOverlay(status) {
+    const connected = Boolean(status.neuroConnected);
+    const title = overlayElement.querySelector('[data-field="title"]');
+    title.textContent = `Neuro: ${connected ? 'Connected' : 'Disconnected'}`;
+    title.className = `neuro-overlay-title ${connected ? 'neuro-ok' : 'neuro-bad'}`;
+
+    setOverlayField('automation', status.automationPaused ? 'Automation paused' : 'Automation running',
+        status.automationPaused ? 'neuro-warn' : '');
+
+    if (status.pendingApproval) {
+        setOverlayField('action', 'Waiting for the operator to approve an answer', 'neuro-warn');
+    } else if (status.currentAction) {
+        setOverlayField('action', `Running ${status.currentAction.name}...`, 'neuro-warn');
+    } else {
+        setOverlayField('action', 'Waiting for Neuro');
+    }
+
+    const lastAnswer = status.lastAnswer;
+    if (!lastAnswer) {
+        setOverlayField('answer', 'No answer yet');
+        setOverlayField('result', '');
+        return;
+    }
+
+    setOverlayField('answer', `Answer: ${formatAnswerText(lastAnswer.answer)}`);
+    if (lastAnswer.correct === true) {
+        setOverlayField('result', 'Correct!', 'neuro-ok');
+    } else if (lastAnswer.correct === false) {
+        setOverlayField('result', `Incorrect${lastAnswer.correctSolution ? ` - ${lastAnswer.correctSolution}` : ''}`, 'neuro-bad');
+    } else if (lastAnswer.success === false) {
+        setOverlayField('result', 'Not submitted', 'neuro-bad');
+    } else {
+        setOverlayField('result', 'Checking...');
+    }
+}
+
+// Receive status updates over a port; it closes when the background restarts, so reconnect then
+function connectStatusOverlay() {
+    let port;
+    try {
+        port = chrome.runtime.connect({ name: 'overlay' });
+    } catch (error) {
+        // The extension was reloaded, this content script can no longer reach it
+        return;
+    }
+
+    port.onMessage.addListener((message) => {
+        if (message.type === 'status_update') {
+            updateStatusOverlay(message.data);
+        }
+    });
+    port.onDisconnect.addListener(() => {
+        setTimeout(connectStatusOverlay, OVERLAY_RECONNECT_DELAY);
+    });
+}
+
+function initStatusOverlay() {
+    loadOverlayState();
+    overlayElement = createStatusOverlay();
+    updateStatusOverlay({});
+    applyOverlayState();
+    connectStatusOverlay();
+}
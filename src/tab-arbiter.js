@@ -0,0 +1,183 @@
+// src/tab-arbiter.js
+// Decides which Duolingo tab owns the active lesson and receives Neuro's actions
+
+import { CONFIG } from './config.js';
+import { Logger } from './logger.js';
+
+const DUOLINGO_URL_PATTERN = 'https://www.duolingo.com/*';
+
+function isDuolingoTab(tab) {
+    return Boolean(tab && tab.url && tab.url.startsWith('https://www.duolingo.com/'));
+}
+
+export class TabArbiter {
+    constructor(connection, popupManager = null) {
+        this.connection = connection;
+        this.popupManager = popupManager;
+        this.ownerTabId = null; // Tab that currently receives actions
+        this.focusedTabId = null; // Most recently focused Duolingo tab
+        this.pinnedTabId = null; // Tab pinned from the popup, takes priority over focus
+    }
+
+    setupListeners() {
+        chrome.tabs.onActivated.addListener(({ tabId }) => {
+            this.handleTabFocused(tabId);
+        });
+
+        chrome.windows.onFocusChanged.addListener((windowId) => {
+            if (windowId === chrome.windows.WINDOW_ID_NONE) {
+                return;
+            }
+            chrome.tabs.query({ active: true, windowId }).then(([tab]) => {
+                if (tab) {
+                    this.handleTabFocused(tab.id);
+                }
+            }).catch(() => {});
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.handleTabGone(tabId);
+        });
+
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            // Navigating a tab away from Duolingo gives up its ownership
+            if (changeInfo.url && !isDuolingoTab(tab)) {
+                this.handleTabGone(tabId);
+            }
+        });
+    }
+
+    async handleTabFocused(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (!isDuolingoTab(tab)) {
+                return;
+            }
+            this.focusedTabId = tabId;
+            await this.resolveOwner();
+        } catch (error) {
+            // The tab may have closed before we could inspect it
+        }
+    }
+
+    handleTabGone(tabId) {
+        // A question from a closed tab can't be answered anymore
+        this.connection.forgetQuestionContext(tabId);
+        if (this.focusedTabId === tabId) {
+            this.focusedTabId = null;
+        }
+        if (this.pinnedTabId === tabId) {
+            this.pinnedTabId = null;
+            this.logInfo(`Pinned Duolingo tab ${tabId} is gone, falling back to the focused tab`);
+        }
+        if (this.ownerTabId === tabId) {
+            this.resolveOwner().catch(() => {});
+        }
+    }
+
+    // Pin a tab from the popup (or pass null to go back to following focus)
+    async pinTab(tabId) {
+        if (tabId !== null) {
+            const tab = await chrome.tabs.get(tabId);
+            if (!isDuolingoTab(tab)) {
+                throw new Error(`Tab ${tabId} is not a Duolingo tab`);
+            }
+        }
+        this.pinnedTabId = tabId;
+        this.logInfo(tabId === null ? 'Unpinned Duolingo tab' : `Pinned Duolingo tab ${tabId}`);
+        return this.resolveOwner();
+    }
+
+    // Work out which tab should own the lesson: pinned, then focused, then the most recently used one
+    async resolveOwner() {
+        const tabs = await chrome.tabs.query({ url: DUOLINGO_URL_PATTERN });
+        const exists = (tabId) => tabs.some(tab => tab.id === tabId);
+
+        let owner = null;
+        if (this.pinnedTabId !== null && exists(this.pinnedTabId)) {
+            owner = tabs.find(tab => tab.id === this.pinnedTabId);
+        } else if (this.focusedTabId !== null && exists(this.focusedTabId)) {
+            owner = tabs.find(tab => tab.id === this.focusedTabId);
+        } else if (this.ownerTabId !== null && exists(this.ownerTabId)) {
+            owner = tabs.find(tab => tab.id === this.ownerTabId);
+        } else if (tabs.length > 0) {
+            owner = tabs.reduce((latest, tab) => ((tab.lastAccessed || 0) > (latest.lastAccessed || 0) ? tab : latest));
+        }
+
+        const ownerTabId = owner ? owner.id : null;
+        if (ownerTabId !== this.ownerTabId) {
+            const previousOwnerTabId = this.ownerTabId;
+            this.ownerTabId = ownerTabId;
+            this.announceOwnerChange(owner);
+            if (owner && previousOwnerTabId !== null) {
+                this.catchUpNewOwner(owner.id);
+            }
+        }
+        this.updateOwnerStatus(owner);
+        return owner;
+    }
+
+    // True when the tab that sent a remembered question still shows it
+    async isQuestionCurrent(questionContext) {
+        if (!questionContext.tabId || !questionContext.question) {
+            return false;
+        }
+        const response = await chrome.tabs.sendMessage(questionContext.tabId, { type: 'neuro_get_current_question' });
+        return Boolean(response && response.question === questionContext.question);
+    }
+
+    // The tab that should receive the next action, or null when no Duolingo tab is open
+    async getTargetTab() {
+        return this.resolveOwner();
+    }
+
+    announceOwnerChange(owner) {
+        const message = owner
+            ? `Now controlling the Duolingo tab "${owner.title || owner.url}".`
+            : 'No Duolingo tab is open anymore.';
+
+        Logger.info(`Lesson tab ownership changed: ${owner ? owner.id : 'none'}`);
+        if (this.popupManager) {
+            this.popupManager.addLogEntry({
+                level: owner ? 'info' : 'warn',
+                message: `Lesson tab: ${owner ? `tab ${owner.id}` : 'none'}`,
+                data: owner ? { tabId: owner.id, title: owner.title, pinned: owner.id === this.pinnedTabId } : null,
+                source: 'duolingo'
+            });
+        }
+
+        this.connection.sendToNeuro({
+            command: 'context',
+            game: CONFIG.GAME_NAME,
+            data: {
+                message,
+                silent: true
+            }
+        });
+    }
+
+    // The background ignored the new owner's registrations and questions while another tab owned the lesson,
+    // so have it register its schema and send its question again
+    catchUpNewOwner(tabId) {
+        ['neuro_reregister_actions', 'neuro_resend_context'].forEach(type => {
+            chrome.tabs.sendMessage(tabId, { type }).catch(error => {
+                Logger.warn(`Failed to send ${type} to the new lesson tab ${tabId}:`, error);
+            });
+        });
+    }
+
+    updateOwnerStatus(owner) {
+        if (this.popupManager) {
+            this.popupManager.updateStatus({
+                controlledTab: owner ? { id: owner.id, title: owner.title, pinned: owner.id === this.pinnedTabId } : null
+            });
+        }
+    }
+
+    logInfo(message) {
+        Logger.info(message);
+        if (this.popupManager) {
+            this.popupManager.logInfo(message);
+        }
+    }
+}
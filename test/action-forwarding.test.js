@@ -0,0 +1,217 @@
+// test/action-forwarding.test.js
+// Neuro actions travel to the Duolingo tab that owns the lesson, and exactly one action/result comes back
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuroConnection } from '../src/neuro-connection.js';
+import { MessageHandler } from '../src/message-handler.js';
+import { TabArbiter } from '../src/tab-arbiter.js';
+import { PendingActions } from '../src/pending-actions.js';
+import { PopupManager } from '../src/popup-manager.js';
+import { CONFIG } from '../src/config.js';
+import { FakeWebSocket } from './support/fake-websocket.js';
+import { setupBackgroundTest, teardownBackgroundTest, flush } from './support/background.js';
+
+let browser;
+let connection;
+let ws;
+
+// Wire the background modules together the way background-main.js does
+function startBackground() {
+    const popupManager = new PopupManager();
+    connection = new NeuroConnection(popupManager, FakeWebSocket);
+    const tabArbiter = new TabArbiter(connection, popupManager);
+    const pendingActions = new PendingActions(connection, popupManager);
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) =>
+        MessageHandler.handleRuntimeMessage(message, sender, sendResponse, connection, popupManager, tabArbiter, pendingActions));
+    self.addEventListener('neuro-message', (event) => {
+        MessageHandler.process(event.detail.msg, event.detail.connection, popupManager, tabArbiter, pendingActions);
+    });
+    tabArbiter.setupListeners();
+    pendingActions.setupListeners();
+
+    connection.connect();
+    ws = FakeWebSocket.latest;
+    ws.open();
+    return { popupManager, tabArbiter, pendingActions };
+}
+
+// A content script stand-in that records the actions it gets and optionally answers them
+function openDuolingoTab(respond = true) {
+    const tab = browser.openTab({ url: 'https://www.duolingo.com/lesson' });
+    tab.actions = [];
+    tab.received = [];
+    tab.chrome.runtime.onMessage.addListener((message) => {
+        tab.received.push(message.type);
+        if (message.type !== 'neuro_action') {
+            return;
+        }
+        tab.actions.push(message.data);
+        if (respond) {
+            tab.chrome.runtime.sendMessage({
+                type: 'neuro_action_result',
+                data: { id: message.data.id, success: true, message: `Done in tab ${tab.id}` }
+            });
+        }
+    });
+    return tab;
+}
+
+function sendAction(id, name = 'submit_answer', data = '{"answer":"hola"}') {
+    ws.receive({ command: 'action', data: { id, name, data } });
+}
+
+function results() {
+    return ws.sent.filter(msg => msg.command === 'action/result').map(msg => msg.data);
+}
+
+beforeEach(() => {
+    browser = setupBackgroundTest();
+});
+
+afterEach(() => {
+    connection.disconnect();
+    teardownBackgroundTest();
+});
+
+test('forwards an action to the focused Duolingo tab and returns its result', async () => {
+    startBackground();
+    const background = openDuolingoTab();
+    const focused = openDuolingoTab();
+    browser.activateTab(focused.id);
+    await flush();
+
+    sendAction('action-1');
+    await flush();
+
+    assert.equal(background.actions.length, 0);
+    assert.deepEqual(focused.actions, [{ id: 'action-1', name: 'submit_answer', data: '{"answer":"hola"}' }]);
+    assert.deepEqual(results(), [{ id: 'action-1', success: true, message: `Done in tab ${focused.id}` }]);
+});
+
+test('fails the action when no Duolingo tab is open', async () => {
+    startBackground();
+    browser.openTab({ url: 'https://example.com/' });
+
+    sendAction('action-2');
+    await flush();
+
+    assert.deepEqual(results(), [{ id: 'action-2', success: false, message: 'No Duolingo tab is currently open.' }]);
+});
+
+test('fails an action that gets no result within ACTION_TIMEOUT and drops the late result', async () => {
+    startBackground();
+    const tab = openDuolingoTab(false);
+    sendAction('action-3');
+    await flush();
+    assert.equal(tab.actions.length, 1);
+
+    mock.timers.tick(CONFIG.ACTION_TIMEOUT - 1);
+    assert.deepEqual(results(), []);
+    mock.timers.tick(1);
+    assert.equal(results().length, 1);
+    assert.equal(results()[0].success, false);
+
+    // The tab finishing afterwards must not produce a second result for the same id
+    tab.chrome.runtime.sendMessage({ type: 'neuro_action_result', data: { id: 'action-3', success: true, message: 'late' } });
+    await flush();
+    assert.equal(results().length, 1);
+});
+
+test('an extended action stays pending while its tab is still working on it', async () => {
+    startBackground();
+    const tab = openDuolingoTab(false);
+    sendAction('action-4');
+    await flush();
+
+    // As the content script does before typing a long answer at a human pace
+    await tab.chrome.runtime.sendMessage({ type: 'neuro_action_extend', data: { id: 'action-4', timeout: 20000 } });
+    mock.timers.tick(CONFIG.ACTION_TIMEOUT);
+    assert.deepEqual(await tab.chrome.runtime.sendMessage({ type: 'neuro_action_pending', data: { id: 'action-4' } }), { pending: true });
+    assert.deepEqual(results(), []);
+
+    mock.timers.tick(20000);
+    assert.deepEqual(await tab.chrome.runtime.sendMessage({ type: 'neuro_action_pending', data: { id: 'action-4' } }), { pending: false });
+    assert.equal(results().length, 1);
+});
+
+test('an extension without a valid timeout still runs for ACTION_TIMEOUT', async () => {
+    startBackground();
+    const tab = openDuolingoTab(false);
+    sendAction('action-7');
+    await flush();
+
+    mock.timers.tick(CONFIG.ACTION_TIMEOUT - 1000);
+    await tab.chrome.runtime.sendMessage({ type: 'neuro_action_extend', data: { id: 'action-7' } });
+    mock.timers.tick(CONFIG.ACTION_TIMEOUT - 1);
+    assert.deepEqual(results(), []);
+    mock.timers.tick(1);
+    assert.equal(results().length, 1);
+});
+
+test('fails the pending action when its tab is closed', async () => {
+    startBackground();
+    const tab = openDuolingoTab(false);
+    sendAction('action-5');
+    await flush();
+
+    browser.closeTab(tab.id);
+    await flush();
+
+    assert.deepEqual(results(), [{
+        id: 'action-5',
+        success: false,
+        message: 'The Duolingo tab was closed before the action finished.'
+    }]);
+});
+
+test('a result sent while disconnected is delivered after reconnecting', async () => {
+    startBackground();
+    const tab = openDuolingoTab(false);
+    sendAction('action-6');
+    await flush();
+
+    ws.drop();
+    tab.chrome.runtime.sendMessage({ type: 'neuro_action_result', data: { id: 'action-6', success: true, message: 'ok' } });
+    await flush();
+
+    mock.timers.tick(CONFIG.RECONNECT_INTERVAL);
+    ws = FakeWebSocket.latest;
+    ws.open();
+    assert.deepEqual(results(), [{ id: 'action-6', success: true, message: 'ok' }]);
+});
+
+test('only the tab that owns the lesson sends questions and actions, and a new owner sends its own', async () => {
+    startBackground();
+    const owner = openDuolingoTab();
+    const other = openDuolingoTab();
+    browser.activateTab(owner.id);
+    await flush();
+
+    const sendQuestion = (tab, question) => {
+        tab.chrome.runtime.sendMessage({
+            type: 'neuro_register_actions',
+            data: { actions: [{ name: 'submit_answer', description: `Answer ${question}`, schema: {} }] }
+        });
+        tab.chrome.runtime.sendMessage({
+            type: 'neuro_context',
+            data: { message: `New question: ${question}`, silent: false, isQuestion: true, question }
+        });
+    };
+    const sentToNeuro = () => ws.sent
+        .filter(msg => msg.command === 'actions/register' || (msg.command === 'context' && !msg.data.silent))
+        .map(msg => msg.command === 'context' ? msg.data.message : msg.data.actions[0].description);
+
+    sendQuestion(other, 'perro');
+    sendQuestion(owner, 'gato');
+    await flush();
+    assert.deepEqual(sentToNeuro(), ['Answer gato', 'New question: gato']);
+    assert.equal(connection.lastQuestionContext.question, 'gato');
+
+    // Focusing the other tab hands it the lesson, and it is asked for its schema and question
+    browser.activateTab(other.id);
+    await flush();
+    assert.deepEqual(other.received, ['neuro_reregister_actions', 'neuro_resend_context']);
+    assert.deepEqual(owner.received, []);
+});
@@ -0,0 +1,325 @@
+// test/content-scripts.test.js
+// The content scripts on saved Duolingo lesson screens (test/fixtures): what they read from each
+// challenge type, and what submit_answer and clearPreviousSelections do to the page.
+// These run on real timers, since the scripts wait between clicks the way they do on Duolingo.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentPage } from './support/content.js';
+import { simulateDuolingo } from './support/duolingo-page.js';
+
+let page;
+
+function open(fixture, options = {}) {
+    page = loadContentPage(fixture, options);
+    return page;
+}
+
+// Copy results out of the page's realm so deepEqual compares plain objects
+function extractContext() {
+    return structuredClone(page.run('extractQuestionContext()'));
+}
+
+function choiceStates() {
+    return Array.from(page.document.querySelectorAll('[data-test="challenge-choice"]'), choice => choice.getAttribute('aria-checked'));
+}
+
+function tappedTexts() {
+    return Array.from(page.document.querySelectorAll('[data-test="challenge-tapped-tokens-container"] [data-test="challenge-tap-token-text"]'),
+        text => text.textContent);
+}
+
+function bankTile(index) {
+    return page.document.querySelectorAll('[data-test="word-bank"] [data-test$="-challenge-tap-token"]')[index];
+}
+
+function submitAnswer(id, answer) {
+    page.sendAction(id, 'submit_answer', { answer });
+    return page.waitForMessage('neuro_action_result', result => result.id === id);
+}
+
+afterEach(() => {
+    page.close();
+});
+
+test('extracts a multiple choice question without the keyboard hint numbers', () => {
+    open('choice.html');
+    assert.deepEqual(extractContext(), {
+        question: 'Which one of these is “the cat”?',
+        contextType: 'choice',
+        options: [
+            { text: 'el perro', isSelected: false },
+            { text: 'el gato', isSelected: false },
+            { text: 'la gata', isSelected: false }
+        ],
+        selectedOption: null,
+        tokens: [],
+        selectedTokens: [],
+        textInputValue: '',
+        isAudioQuestion: false,
+        leftColumn: [],
+        rightColumn: [],
+        matchedTokens: []
+    });
+});
+
+test('marks a question with a play button as an audio question', () => {
+    open('listen-choice.html');
+    const context = extractContext();
+    assert.equal(context.contextType, 'choice');
+    assert.equal(context.isAudioQuestion, true);
+    assert.deepEqual(context.options.map(option => option.text), ['Buenos días', 'Buenas noches']);
+});
+
+test('extracts the word bank and the tapped tiles in answer order', () => {
+    open('tap.html');
+    simulateDuolingo(page.window);
+    let context = extractContext();
+    assert.equal(context.contextType, 'tap');
+    assert.equal(context.question, 'Write this in English');
+    assert.deepEqual(context.tokens, ['The', 'bread', 'cat', 'the', 'eats', 'dog']);
+    assert.deepEqual(context.selectedTokens, []);
+
+    bankTile(2).click();
+    bankTile(0).click();
+    context = extractContext();
+    assert.deepEqual(context.selectedTokens, ['cat', 'The']);
+    assert.deepEqual(context.tokens, ['The', 'bread', 'cat', 'the', 'eats', 'dog']);
+});
+
+test('extracts both match columns and leaves matched tiles out of them', () => {
+    open('match.html');
+    let context = extractContext();
+    assert.equal(context.contextType, 'match');
+    assert.deepEqual(context.leftColumn, ['gato', 'perro', 'pan']);
+    assert.deepEqual(context.rightColumn, ['bread', 'cat', 'dog']);
+    assert.deepEqual(context.matchedTokens, []);
+
+    page.document.querySelector('[data-test="gato-challenge-tap-token"]').setAttribute('aria-disabled', 'true');
+    page.document.querySelector('[data-test="cat-challenge-tap-token"]').setAttribute('aria-disabled', 'true');
+    context = extractContext();
+    assert.deepEqual(context.leftColumn, ['perro', 'pan']);
+    assert.deepEqual(context.rightColumn, ['bread', 'dog']);
+    assert.deepEqual(context.matchedTokens, ['gato', 'cat']);
+});
+
+test('extracts a text question and the text typed so far', () => {
+    open('text.html');
+    let context = extractContext();
+    assert.equal(context.contextType, 'text');
+    assert.equal(context.textInputValue, '');
+
+    page.document.querySelector('[data-test="challenge-translate-input"]').value = 'The cat';
+    context = extractContext();
+    assert.equal(context.textInputValue, 'The cat');
+});
+
+test('a progress bar only counts as a lesson on a lesson URL or next to a challenge', () => {
+    const removeChallenge = () => page.document.querySelectorAll('[data-test~="challenge"], [data-test="challenge-header"]')
+        .forEach(element => element.remove());
+
+    open('choice.html', { url: 'https://www.duolingo.com/learn' });
+    assert.equal(page.run('detectLessonScreen().state'), 'in_progress');
+    removeChallenge();
+    assert.equal(page.run('detectLessonScreen().state'), 'idle');
+    page.close();
+
+    open('choice.html', { url: 'https://www.duolingo.com/practice' });
+    removeChallenge();
+    assert.equal(page.run('detectLessonScreen().state'), 'in_progress');
+});
+
+test('clearPreviousSelections returns every tapped tile to the word bank', () => {
+    open('tap.html');
+    simulateDuolingo(page.window);
+    bankTile(0).click();
+    bankTile(2).click();
+    bankTile(3).click();
+    assert.deepEqual(tappedTexts(), ['The', 'cat', 'the']);
+
+    page.run('clearPreviousSelections("tap")');
+    assert.deepEqual(tappedTexts(), []);
+    assert.equal(page.document.querySelectorAll('[data-test="word-bank"] [aria-disabled="true"]').length, 0);
+});
+
+test('clearPreviousSelections empties the text field for React as well', async () => {
+    open('text.html');
+    const duolingo = simulateDuolingo(page.window);
+    await page.run('typeIntoInput(document.querySelector(\'[data-test="challenge-translate-input"]\'), "The cat")');
+    assert.equal(duolingo.textState, 'The cat');
+
+    page.run('clearPreviousSelections("text")');
+    assert.equal(page.document.querySelector('[data-test="challenge-translate-input"]').value, '');
+    assert.equal(duolingo.textState, '');
+});
+
+test('submit_answer selects the choice, checks it and reports the grade', async () => {
+    open('choice.html');
+    const duolingo = simulateDuolingo(page.window, { grade: answer => ({ correct: answer === 'el gato' }) });
+
+    const result = await submitAnswer('choice-1', 'el gato');
+    assert.deepEqual(choiceStates(), ['false', 'true', 'false']);
+    assert.equal(duolingo.checks, 1);
+    assert.deepEqual(result, { id: 'choice-1', success: true, message: 'Your answer "el gato" was correct.' });
+
+    const outcome = await page.waitForMessage('neuro_answer_outcome');
+    assert.equal(outcome.correct, true);
+    assert.equal(outcome.contextType, 'choice');
+});
+
+test('submit_answer accepts an option number', async () => {
+    open('choice.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    const result = await submitAnswer('choice-2', '3');
+    assert.deepEqual(choiceStates(), ['false', 'false', 'true']);
+    assert.equal(duolingo.checks, 1);
+    assert.equal(result.success, true);
+});
+
+test('submit_answer does not check an answer that matches no option', async () => {
+    open('choice.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    const result = await submitAnswer('choice-3', 'der Hund');
+    assert.deepEqual(choiceStates(), ['false', 'false', 'false']);
+    assert.equal(duolingo.checks, 0);
+    assert.equal(result.success, false);
+    assert.match(result.message, /^No option matches "der Hund"\. Available options: 1\. el perro; 2\. el gato; 3\. la gata$/);
+});
+
+test('submit_answer does not check a choice Duolingo did not register', async () => {
+    open('choice.html');
+    const duolingo = simulateDuolingo(page.window, { ignoreChoiceClicks: true });
+
+    const result = await submitAnswer('choice-4', 'el gato');
+    assert.equal(duolingo.checks, 0);
+    assert.equal(result.success, false);
+    assert.match(result.message, /^Tried to select "el gato" but the page shows no option selected\./);
+});
+
+test('submit_answer does not check an answer whose action already timed out', async () => {
+    open('tap.html', { responses: { neuro_action_pending: () => ({ pending: false }) } });
+    const duolingo = simulateDuolingo(page.window);
+
+    page.sendAction('tap-4', 'submit_answer', { answer: ['The', 'cat', 'eats'] });
+    await page.waitForMessage('neuro_action_pending', request => request.id === 'tap-4');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(duolingo.checks, 0);
+    assert.equal(page.document.querySelector('[data-test~="blame"]'), null);
+
+    // The tiles went back through Duolingo's own UI, so the page has no answer left to check
+    assert.deepEqual(tappedTexts(), []);
+    assert.equal(page.document.querySelectorAll('[data-test="word-bank"] [aria-disabled="true"]').length, 0);
+    assert.equal(page.document.querySelector('[data-test="player-next"]').getAttribute('aria-disabled'), 'true');
+    assert.equal(duolingo.currentAnswer(), '');
+    assert.deepEqual(page.sent('neuro_action_result'), []);
+});
+
+test('submit_answer taps the tiles in order, picking identical tiles by number', async () => {
+    open('tap.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    const result = await submitAnswer('tap-1', [1, 'cat', 'eats', 4, 'bread']);
+    assert.deepEqual(tappedTexts(), ['The', 'cat', 'eats', 'the', 'bread']);
+    assert.equal(duolingo.checks, 1);
+    assert.equal(result.success, true);
+});
+
+test('submit_answer taps nothing when a tile is missing', async () => {
+    open('tap.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    const result = await submitAnswer('tap-2', ['The', 'cow', 'eats']);
+    assert.deepEqual(tappedTexts(), []);
+    assert.equal(duolingo.checks, 0);
+    assert.equal(result.success, false);
+    assert.match(result.message, /^There is no unused "cow" tile left\. Available tiles: 1\. The; 2\. bread; 3\. cat; 4\. the; 5\. eats; 6\. dog$/);
+});
+
+test('pausing while tiles are tapped stops before Check and clears the answer area', async () => {
+    open('tap.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    page.sendAction('tap-3', 'submit_answer', { answer: ['The', 'cat', 'eats', 'the', 'bread'] });
+    await page.waitForMessage('neuro_answer_submitted', data => data.id === 'tap-3');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    page.sendToTab({ type: 'neuro_set_paused', data: { paused: true } });
+
+    const result = await page.waitForMessage('neuro_action_result', data => data.id === 'tap-3');
+    assert.equal(result.success, false);
+    assert.match(result.message, /^Automation was stopped \(popup\)/);
+    assert.equal(duolingo.checks, 0);
+    assert.deepEqual(tappedTexts(), []);
+});
+
+test('pausing after a choice is selected stops before Check and leaves the selection to Duolingo', async () => {
+    open('choice.html');
+    const duolingo = simulateDuolingo(page.window);
+
+    page.sendAction('choice-6', 'submit_answer', { answer: 'el gato' });
+    await page.waitForMessage('neuro_answer_submitted', data => data.id === 'choice-6');
+    page.sendToTab({ type: 'neuro_set_paused', data: { paused: true } });
+
+    const result = await page.waitForMessage('neuro_action_result', data => data.id === 'choice-6');
+    assert.match(result.message, /^Automation was stopped \(popup\)/);
+    assert.equal(duolingo.checks, 0);
+    // Duolingo can't unselect a choice, so the page still shows it rather than a faked empty selection
+    assert.deepEqual(choiceStates(), ['false', 'true', 'false']);
+});
+
+test('submit_answer types the text so Duolingo\'s React state has it, and reports the solution when wrong', async () => {
+    open('text.html');
+    const duolingo = simulateDuolingo(page.window, {
+        grade: () => ({ correct: false, solution: 'The cat eats the bread.' })
+    });
+
+    const result = await submitAnswer('text-1', 'The cat eats bread');
+    assert.equal(page.document.querySelector('[data-test="challenge-translate-input"]').value, 'The cat eats bread');
+    assert.equal(duolingo.textState, 'The cat eats bread');
+    assert.equal(duolingo.checks, 1);
+    assert.deepEqual(result, {
+        id: 'text-1',
+        success: true,
+        message: 'Your answer "The cat eats bread" was incorrect. Correct solution: The cat eats the bread.'
+    });
+});
+
+test('submit_answer does not check text Duolingo did not register', async () => {
+    open('text.html');
+    const duolingo = simulateDuolingo(page.window, { ignoreTyping: true });
+
+    const result = await submitAnswer('text-2', 'The cat eats bread');
+    assert.equal(duolingo.textState, '');
+    assert.equal(duolingo.checks, 0);
+    assert.deepEqual(result, {
+        id: 'text-2',
+        success: false,
+        message: 'Typed "The cat eats bread" but Duolingo did not register it (Check is still disabled)'
+    });
+});
+
+test('submit_answer pairs up match tiles without clicking Check', async () => {
+    open('match.html');
+    const duolingo = simulateDuolingo(page.window, { matchPairs: { gato: 'cat', perro: 'dog', pan: 'bread' } });
+
+    const result = await submitAnswer('match-1', [
+        { left: 'gato', right: 'cat' },
+        { left: 'perro', right: 'dog' },
+        { left: 'pan', right: 'bread' }
+    ]);
+    assert.deepEqual(result, { id: 'match-1', success: true, message: 'Matched all 3 pairs successfully' });
+    assert.equal(page.document.querySelectorAll('[data-test$="-challenge-tap-token"]:not([aria-disabled="true"])').length, 0);
+    assert.equal(duolingo.checks, 0);
+});
+
+test('submit_answer reports the match pairs Duolingo rejected', async () => {
+    open('match.html');
+    simulateDuolingo(page.window, { matchPairs: { gato: 'cat', perro: 'dog', pan: 'bread' } });
+
+    const result = await submitAnswer('match-2', 'gato=cat; perro=bread');
+    assert.equal(result.success, false);
+    assert.equal(result.message,
+        'Matched 1/2 pairs. Failed: perro=bread (not accepted by Duolingo). Remaining left: perro, pan. Remaining right: bread, dog.');
+    assert.deepEqual(extractContext().matchedTokens, ['gato', 'cat']);
+});
@@ -0,0 +1,111 @@
+// test/mock-neuro-server.test.js
+// NeuroConnection against tools/mock-neuro-server.mjs over a real WebSocket, with the ws package
+// standing in for the browser's WebSocket. The server runs in its own process on a free port.
+
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { WebSocket } from 'ws';
+import { NeuroConnection } from '../src/neuro-connection.js';
+import { MessageHandler } from '../src/message-handler.js';
+import { CONFIG } from '../src/config.js';
+import { FakeChrome } from './support/fake-chrome.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../tools/mock-neuro-server.mjs', import.meta.url));
+const DEFAULT_URL = CONFIG.NEURO_WS_URL;
+
+let server;
+let output = ''; // Everything the server printed
+let connection;
+let received; // Messages from the server, as NeuroConnection dispatched them
+
+// Resolve once condition() is true, polling on real timers
+async function waitFor(condition, description, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+before(async () => {
+    server = spawn(process.execPath, [SERVER_PATH, '--port', '0', '--mode', 'random', '--delay', '0'], {
+        stdio: ['pipe', 'pipe', 'inherit']
+    });
+    server.stdout.setEncoding('utf8');
+    server.stdout.on('data', chunk => {
+        output += chunk;
+    });
+
+    await waitFor(() => /listening on ws:\/\/localhost:\d+/.test(output), 'the mock server to listen');
+    CONFIG.NEURO_WS_URL = `ws://localhost:${output.match(/listening on ws:\/\/localhost:(\d+)/)[1]}`;
+});
+
+after(async () => {
+    CONFIG.NEURO_WS_URL = DEFAULT_URL;
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+});
+
+beforeEach(async () => {
+    new FakeChrome().install();
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => mock.method(console, level, () => {}));
+
+    received = [];
+    self.addEventListener('neuro-message', event => received.push(event.detail.msg));
+    connection = new NeuroConnection(null, WebSocket);
+    connection.connect();
+    await waitFor(() => connection.isConnected, 'the connection to open');
+
+    MessageHandler.handleRegisterActions({
+        data: {
+            actions: [
+                {
+                    name: 'submit_answer',
+                    description: 'Answer the question',
+                    schema: { type: 'object', properties: { answer: { type: 'string', enum: ['el gato'] } }, required: ['answer'] }
+                },
+                { name: 'continue_lesson', description: 'Continue', schema: { type: 'object', properties: {} } }
+            ]
+        }
+    }, connection);
+});
+
+afterEach(() => {
+    connection.disconnect();
+    mock.restoreAll();
+});
+
+test('Randy ignores question contexts and answers actions/force with a forced action built from its schema', async () => {
+    connection.sendQuestionContext({ message: 'New question: Which one of these is "the cat"?', silent: false });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.deepEqual(received, []);
+
+    connection.sendToNeuro({
+        command: 'actions/force',
+        data: { query: 'Answer the question', action_names: ['submit_answer'] }
+    });
+    await waitFor(() => received.length > 0, 'an action');
+
+    const [action] = received;
+    assert.equal(action.command, 'action');
+    assert.equal(action.data.name, 'submit_answer');
+    assert.deepEqual(JSON.parse(action.data.data), { answer: 'el gato' });
+});
+
+test('the server reports results and flags a second result for the same action', async () => {
+    connection.sendToNeuro({ command: 'actions/force', data: { query: 'Continue', action_names: ['continue_lesson'] } });
+    await waitFor(() => received.length > 0, 'an action');
+    const { id } = received[0].data;
+
+    const result = { command: 'action/result', data: { id, success: true, message: 'Continued lesson successfully' } };
+    connection.sendToNeuro(structuredClone(result));
+    await waitFor(() => output.includes('continue_lesson succeeded: Continued lesson successfully'), 'the result to be logged');
+
+    connection.sendToNeuro(structuredClone(result));
+    await waitFor(() => output.includes(`DUPLICATE action/result for ${id}`), 'the duplicate to be flagged');
+});
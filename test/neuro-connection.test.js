@@ -0,0 +1,256 @@
+// test/neuro-connection.test.js
+// Reconnect backoff, heartbeat and outbound queue of the Neuro WebSocket connection
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { NeuroConnection } from '../src/neuro-connection.js';
+import { MessageHandler } from '../src/message-handler.js';
+import { TabArbiter } from '../src/tab-arbiter.js';
+import { CONFIG } from '../src/config.js';
+import { FakeWebSocket } from './support/fake-websocket.js';
+import { setupBackgroundTest, teardownBackgroundTest, flush } from './support/background.js';
+
+let browser;
+let connection;
+
+beforeEach(() => {
+    browser = setupBackgroundTest();
+    connection = new NeuroConnection(null, FakeWebSocket);
+});
+
+afterEach(() => {
+    connection.disconnect();
+    teardownBackgroundTest();
+});
+
+test('connects to the configured URL and sends startup first', () => {
+    connection.connect();
+    const ws = FakeWebSocket.latest;
+    assert.equal(ws.url, CONFIG.NEURO_WS_URL);
+
+    ws.open();
+    assert.equal(connection.isConnected, true);
+    assert.deepEqual(ws.sent[0], { command: 'startup', game: CONFIG.GAME_NAME });
+});
+
+test('reconnects with exponential backoff capped at MAX_RECONNECT_INTERVAL', () => {
+    connection.connect();
+
+    // RECONNECT_INTERVAL grows by 1.5x per failed attempt until MAX_RECONNECT_INTERVAL
+    const expectedDelays = [10000, 15000, 22500, 33750, 50625, 60000, 60000];
+    for (const delay of expectedDelays) {
+        FakeWebSocket.latest.fail();
+        const socketCount = FakeWebSocket.instances.length;
+
+        mock.timers.tick(delay - 1);
+        assert.equal(FakeWebSocket.instances.length, socketCount, `no reconnect before ${delay} ms`);
+        mock.timers.tick(1);
+        assert.equal(FakeWebSocket.instances.length, socketCount + 1, `reconnects after ${delay} ms`);
+    }
+});
+
+test('a successful connection resets the backoff', () => {
+    connection.connect();
+    FakeWebSocket.latest.fail();
+    mock.timers.tick(10000);
+    FakeWebSocket.latest.fail();
+    mock.timers.tick(15000);
+    FakeWebSocket.latest.open();
+    assert.equal(connection.reconnectAttempts, 0);
+
+    // Losing the connection again starts over at RECONNECT_INTERVAL
+    FakeWebSocket.latest.drop();
+    const socketCount = FakeWebSocket.instances.length;
+    mock.timers.tick(CONFIG.RECONNECT_INTERVAL);
+    assert.equal(FakeWebSocket.instances.length, socketCount + 1);
+});
+
+test('a user disconnect stops automatic reconnects until reconnectNow', () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    connection.disconnectByUser();
+
+    const socketCount = FakeWebSocket.instances.length;
+    mock.timers.tick(CONFIG.MAX_RECONNECT_INTERVAL * 2);
+    connection.ensureConnected();
+    assert.equal(FakeWebSocket.instances.length, socketCount);
+
+    connection.reconnectNow();
+    assert.equal(FakeWebSocket.instances.length, socketCount + 1);
+});
+
+test('the heartbeat pings after HEARTBEAT_INTERVAL of silence', () => {
+    connection.connect();
+    const ws = FakeWebSocket.latest;
+    ws.open();
+
+    mock.timers.tick(CONFIG.HEARTBEAT_INTERVAL - 1);
+    assert.ok(!ws.sentCommands().includes('ping'));
+    mock.timers.tick(1);
+    assert.deepEqual(ws.sent.at(-1), { command: 'ping', game: CONFIG.GAME_NAME });
+
+    // The next ping is timed from the previous one
+    mock.timers.tick(CONFIG.HEARTBEAT_INTERVAL - 1);
+    assert.equal(ws.sentCommands().filter(command => command === 'ping').length, 1);
+    mock.timers.tick(1);
+    assert.equal(ws.sentCommands().filter(command => command === 'ping').length, 2);
+});
+
+test('messages from Neuro postpone the heartbeat ping without ever leaving the socket silent longer', () => {
+    connection.connect();
+    const ws = FakeWebSocket.latest;
+    ws.open();
+
+    mock.timers.tick(10000);
+    ws.receive({ command: 'status', data: {} });
+
+    // The ping is due HEARTBEAT_INTERVAL after Neuro's message, not after the next check
+    mock.timers.tick(CONFIG.HEARTBEAT_INTERVAL - 1);
+    assert.ok(!ws.sentCommands().includes('ping'));
+    mock.timers.tick(1);
+    assert.ok(ws.sentCommands().includes('ping'));
+});
+
+test('the heartbeat stops when the connection drops', () => {
+    connection.connect();
+    const ws = FakeWebSocket.latest;
+    ws.open();
+    ws.drop();
+
+    mock.timers.tick(CONFIG.HEARTBEAT_INTERVAL * 2);
+    assert.ok(!ws.sentCommands().includes('ping'));
+});
+
+test('queued results and contexts are flushed in order on reconnect', async () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    connection.rememberActions([{ name: 'submit_answer', description: 'Answer', schema: {} }]);
+    FakeWebSocket.latest.drop();
+
+    const sendContext = (message, silent, isQuestion = false) =>
+        MessageHandler.handleContextMessage({ data: { message, silent, isQuestion } }, connection);
+    sendContext('Answer graded', true);
+    sendContext('New question: old', false, true);
+    sendContext('New question: current', false, true);
+    sendContext('Actions registered with Neuro', true);
+    connection.sendToNeuro({ command: 'action/result', data: { id: 'a1', success: true, message: 'done' } });
+    assert.equal(connection.outboundQueue.size, 4);
+
+    mock.timers.tick(CONFIG.RECONNECT_INTERVAL);
+    const ws = FakeWebSocket.latest;
+    ws.open();
+    await flush();
+
+    // Registrations are replayed rather than queued; only the newest question survives,
+    // and the silent context sent after it doesn't replace it
+    assert.deepEqual(ws.sentCommands(), ['startup', 'actions/register', 'context', 'context', 'context', 'action/result']);
+    assert.deepEqual(ws.sent.filter(msg => msg.command === 'context').map(msg => msg.data.message), [
+        'Answer graded',
+        'New question: current',
+        'Actions registered with Neuro'
+    ]);
+    assert.equal(connection.outboundQueue.size, 0);
+});
+
+test('the remembered question is replayed after reconnecting', () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    MessageHandler.handleContextMessage({ data: { message: 'New question: hola', silent: false, isQuestion: true } }, connection);
+    FakeWebSocket.latest.drop();
+
+    // A silent context queued while disconnected must not stop the question from being replayed
+    MessageHandler.handleContextMessage({ data: { message: 'Lesson tab changed', silent: true } }, connection);
+    mock.timers.tick(CONFIG.RECONNECT_INTERVAL);
+    const ws = FakeWebSocket.latest;
+    ws.open();
+
+    assert.deepEqual(ws.sent.filter(msg => msg.command === 'context').map(msg => msg.data), [
+        { message: 'New question: hola', silent: false },
+        { message: 'Lesson tab changed', silent: true }
+    ]);
+});
+
+test('the session survives a service worker restart through chrome.storage.session', async () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    connection.rememberActions([{ name: 'submit_answer', description: 'Answer', schema: {} }]);
+    connection.rememberQuestionContext({ message: 'New question: gato', silent: false });
+    await flush();
+
+    const restarted = new NeuroConnection(null, FakeWebSocket);
+    assert.equal(await restarted.restoreSession(), true);
+    restarted.connect();
+    const ws = FakeWebSocket.latest;
+    ws.open();
+    assert.deepEqual(ws.sentCommands(), ['startup', 'actions/register', 'context']);
+    assert.equal(ws.sent[2].data.message, 'New question: gato');
+    restarted.disconnect();
+});
+
+// A Duolingo tab showing `question`, wired to the background the way background-main.js does
+function openQuestionTab(question) {
+    const tabArbiter = new TabArbiter(connection);
+    tabArbiter.setupListeners();
+    connection.confirmQuestion = (questionContext) => tabArbiter.isQuestionCurrent(questionContext);
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) =>
+        MessageHandler.handleRuntimeMessage(message, sender, sendResponse, connection, null, tabArbiter));
+
+    const tab = browser.openTab();
+    tab.question = question;
+    tab.chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'neuro_get_current_question') {
+            sendResponse({ question: tab.question });
+        }
+    });
+    tab.send = (type, data) => tab.chrome.runtime.sendMessage({ type, data });
+    return tab;
+}
+
+async function reconnect() {
+    FakeWebSocket.latest.drop();
+    mock.timers.tick(CONFIG.RECONNECT_INTERVAL);
+    const ws = FakeWebSocket.latest;
+    ws.open();
+    await flush();
+    await flush();
+    return ws.sent.filter(msg => msg.command === 'context').map(msg => msg.data.message);
+}
+
+test('the remembered question is replayed only while its tab still shows it', async () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    const tab = openQuestionTab('hola');
+    await tab.send('neuro_context', { message: 'New question: hola', silent: false, isQuestion: true, question: 'hola' });
+    await flush();
+
+    assert.deepEqual(await reconnect(), ['New question: hola']);
+
+    // The tab moved on without a new question being sent, e.g. to a lesson screen without one
+    tab.question = null;
+    assert.deepEqual(await reconnect(), []);
+    assert.equal(connection.lastQuestionContext, null);
+});
+
+test('an answered question, a finished lesson or a closed tab is not replayed', async () => {
+    connection.connect();
+    FakeWebSocket.latest.open();
+    const tab = openQuestionTab('hola');
+    const askQuestion = async () => {
+        await tab.send('neuro_context', { message: 'New question: hola', silent: false, isQuestion: true, question: 'hola' });
+        await flush();
+        assert.notEqual(connection.lastQuestionContext, null);
+    };
+
+    await askQuestion();
+    await tab.send('neuro_answer_outcome', { question: 'hola', answer: 'hello', correct: true });
+    assert.equal(connection.lastQuestionContext, null);
+
+    await askQuestion();
+    await tab.send('neuro_lesson_state', { state: 'complete', previousState: 'in_progress', progress: 100 });
+    assert.equal(connection.lastQuestionContext, null);
+
+    await askQuestion();
+    browser.closeTab(tab.id);
+    assert.equal(connection.lastQuestionContext, null);
+    assert.deepEqual(await reconnect(), []);
+});
@@ -0,0 +1,29 @@
+// test/support/background.js
+// Shared setup for tests of the background modules: a fresh fake browser and fake socket per test,
+// mocked timers and a quiet console.
+
+import { mock } from 'node:test';
+import { FakeChrome } from './fake-chrome.js';
+import { FakeWebSocket } from './fake-websocket.js';
+
+// Mocked clocks start here rather than at 0, since the code treats a zero timestamp as "never"
+export const START_TIME = 1700000000000;
+
+export function setupBackgroundTest() {
+    const browser = new FakeChrome();
+    browser.install();
+    FakeWebSocket.reset();
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START_TIME });
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => mock.method(console, level, () => {}));
+    return browser;
+}
+
+export function teardownBackgroundTest() {
+    mock.timers.reset();
+    mock.restoreAll();
+}
+
+// Let queued promise callbacks and fake chrome message deliveries run (setImmediate is not mocked)
+export function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
@@ -0,0 +1,127 @@
+// test/support/content.js
+// Load a saved Duolingo page from test/fixtures into jsdom and run the content scripts on it
+// in manifest order, with a fake background that records what they send.
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { FakeChrome } from './fake-chrome.js';
+
+const ROOT = new URL('../../', import.meta.url);
+const manifest = JSON.parse(readFileSync(new URL('manifest.json', ROOT), 'utf8'));
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js.map(path => ({
+    path,
+    source: readFileSync(new URL(path, ROOT), 'utf8')
+}));
+
+const BLOCK_ELEMENTS = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'DIV', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'UL']);
+
+// jsdom has no layout and so no innerText. Approximate it the way the content scripts depend on:
+// block elements and <br> start a new line, whitespace collapses and blank lines are dropped.
+function installInnerText(window) {
+    const renderText = (node) => {
+        if (node.nodeType === window.Node.TEXT_NODE) {
+            return node.data.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== window.Node.ELEMENT_NODE || ['SCRIPT', 'STYLE'].includes(node.tagName)) {
+            return '';
+        }
+        if (node.tagName === 'BR') {
+            return '\n';
+        }
+        const text = Array.from(node.childNodes).map(renderText).join('');
+        return BLOCK_ELEMENTS.has(node.tagName) ? `\n${text}\n` : text;
+    };
+
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() {
+            return renderText(this).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+        }
+    });
+}
+
+// The background's answers to the content scripts' requests; everything they send is recorded
+function startFakeBackground(browser, messages, responses) {
+    browser.background.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        messages.push(message);
+        if (message.type in responses) {
+            sendResponse(responses[message.type](message));
+        }
+    });
+}
+
+// Options:
+// - responses: { messageType: message => response } overriding the fake background's replies
+// - url: the page's address, a lesson by default
+export function loadContentPage(fixture, { responses = {}, url = 'https://www.duolingo.com/lesson' } = {}) {
+    const html = readFileSync(new URL(`test/fixtures/${fixture}`, ROOT), 'utf8');
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    installInnerText(window);
+
+    const browser = new FakeChrome();
+    const tab = browser.openTab({ url: window.location.href });
+    browser.activateTab(tab.id);
+    window.chrome = tab.chrome;
+
+    const messages = [];
+    startFakeBackground(browser, messages, {
+        neuro_action_pending: () => ({ pending: true }),
+        ...responses
+    });
+
+    // One context for all scripts, so their top-level declarations are shared as in the browser
+    const context = dom.getInternalVMContext();
+    CONTENT_SCRIPTS.forEach(({ path, source }) => new vm.Script(source, { filename: path }).runInContext(context));
+
+    return {
+        window,
+        document: window.document,
+        browser,
+        tab,
+        messages,
+
+        // Evaluate an expression in the content scripts' scope, e.g. 'extractQuestionContext()'
+        run(code) {
+            return vm.runInContext(code, context);
+        },
+
+        // Send a message to the content scripts the way the background does
+        sendToTab(message) {
+            return browser.background.tabs.sendMessage(tab.id, message);
+        },
+
+        sendAction(id, name, data) {
+            return this.sendToTab({ type: 'neuro_action', data: { id, name, data: JSON.stringify(data) } });
+        },
+
+        sent(type) {
+            return messages.filter(message => message.type === type).map(message => message.data);
+        },
+
+        // Resolve with the data of the first recorded message of this type that passes the filter
+        async waitForMessage(type, filter = () => true, timeout = 10000) {
+            const deadline = Date.now() + timeout;
+            while (Date.now() < deadline) {
+                const found = this.sent(type).find(filter);
+                if (found) {
+                    return found;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            throw new Error(`No ${type} message within ${timeout} ms`);
+        },
+
+        // Stops the page's timers and observers
+        close() {
+            window.close();
+        }
+    };
+}
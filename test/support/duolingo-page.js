@@ -0,0 +1,143 @@
+// test/support/duolingo-page.js
+// The part of Duolingo's lesson app the content scripts rely on, played on top of a static fixture:
+// choices get selected, word bank tiles move to the answer area, match pairs lock, the text field keeps
+// React-style state, and Check only works once an answer is entered and then shows a grading banner.
+
+// Keep React's view of a controlled field: it records every value assigned through element.value
+// and only treats an input event as a change when the field's value differs from that record
+function trackReactValue(window, field, onChange) {
+    const prototype = field instanceof window.HTMLTextAreaElement ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+    let tracked = field.value;
+
+    Object.defineProperty(field, 'value', {
+        configurable: true,
+        get() {
+            return descriptor.get.call(this);
+        },
+        set(value) {
+            tracked = String(value);
+            descriptor.set.call(this, value);
+        }
+    });
+
+    field.addEventListener('input', () => {
+        const current = descriptor.get.call(field);
+        if (current !== tracked) {
+            tracked = current;
+            onChange(current);
+        }
+    });
+}
+
+// Options:
+// - grade(answer): returns { correct, solution } for the answer entered when Check is clicked
+// - matchPairs: { left: right } pairs Duolingo accepts in a match challenge
+// - ignoreChoiceClicks: behave like a Duolingo update that no longer reacts to the clicks we send
+// - ignoreTyping: likewise for the events typed into the text field, which then shows text Duolingo never got
+export function simulateDuolingo(window, { grade = () => ({ correct: true }), matchPairs = {}, ignoreChoiceClicks = false, ignoreTyping = false } = {}) {
+    const { document } = window;
+    const checkButton = document.querySelector('[data-test="player-next"]');
+    const tappedArea = document.querySelector('[data-test="challenge-tapped-tokens-container"]');
+    const textField = document.querySelector('[data-test="challenge-text-input"], [data-test="challenge-translate-input"]');
+    const page = { checks: 0, textState: '', selectedMatchTile: null };
+
+    const tokenText = tile => tile.querySelector('[data-test="challenge-tap-token-text"]').textContent.trim();
+    const setCheckEnabled = enabled => {
+        if (enabled) {
+            checkButton.removeAttribute('aria-disabled');
+        } else {
+            checkButton.setAttribute('aria-disabled', 'true');
+        }
+    };
+
+    // The answer Duolingo would grade right now
+    page.currentAnswer = () => {
+        const choice = document.querySelector('[data-test="challenge-choice"][aria-checked="true"]');
+        if (choice) {
+            return choice.querySelector('span').textContent.trim();
+        }
+        if (tappedArea) {
+            return Array.from(tappedArea.children).map(tokenText).join(' ');
+        }
+        return textField ? page.textState : null;
+    };
+
+    if (textField && !ignoreTyping) {
+        trackReactValue(window, textField, value => {
+            page.textState = value;
+            setCheckEnabled(value.trim() !== '');
+        });
+    }
+
+    document.addEventListener('click', (event) => {
+        const choice = event.target.closest('[data-test="challenge-choice"]');
+        if (choice && !ignoreChoiceClicks) {
+            document.querySelectorAll('[data-test="challenge-choice"]').forEach(option => {
+                option.setAttribute('aria-checked', String(option === choice));
+            });
+            setCheckEnabled(true);
+            return;
+        }
+
+        const tile = event.target.closest('[data-test$="-challenge-tap-token"]');
+        if (tile && tile.getAttribute('aria-disabled') !== 'true') {
+            if (document.querySelector('[data-test~="challenge-match"]')) {
+                clickMatchTile(tile);
+            } else {
+                clickTapTile(tile);
+            }
+            return;
+        }
+
+        if (event.target.closest('[data-test="player-next"]') && checkButton.getAttribute('aria-disabled') !== 'true') {
+            clickCheck();
+        }
+    });
+
+    // A bank tile leaves a disabled placeholder and appears in the answer area; tapping that copy undoes it
+    function clickTapTile(tile) {
+        if (tappedArea.contains(tile)) {
+            tile.bankTile.removeAttribute('aria-disabled');
+            tile.remove();
+        } else {
+            const copy = tile.cloneNode(true);
+            copy.bankTile = tile;
+            tile.setAttribute('aria-disabled', 'true');
+            tappedArea.appendChild(copy);
+        }
+        setCheckEnabled(tappedArea.children.length > 0);
+    }
+
+    // Two tiles from opposite columns lock when they form a pair, otherwise both are released
+    function clickMatchTile(tile) {
+        const first = page.selectedMatchTile;
+        if (!first) {
+            page.selectedMatchTile = tile;
+            return;
+        }
+        page.selectedMatchTile = null;
+        const [a, b] = [tokenText(first), tokenText(tile)];
+        if (matchPairs[a] === b || matchPairs[b] === a) {
+            first.setAttribute('aria-disabled', 'true');
+            tile.setAttribute('aria-disabled', 'true');
+        }
+    }
+
+    function clickCheck() {
+        page.checks++;
+        const result = grade(page.currentAnswer());
+        const banner = document.createElement('div');
+        if (result.correct) {
+            banner.setAttribute('data-test', 'blame blame-correct');
+            banner.innerHTML = '<div class="_1UqAr"><h2>Nicely done!</h2></div>';
+        } else {
+            banner.setAttribute('data-test', 'blame blame-incorrect');
+            banner.innerHTML = `<div class="_1UqAr"><h2>Correct solution:</h2><div class="_2ez4I">${result.solution}</div></div>`;
+        }
+        document.getElementById('session/PlayerFooter').appendChild(banner);
+        checkButton.textContent = 'Continue';
+    }
+
+    return page;
+}
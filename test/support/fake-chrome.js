@@ -0,0 +1,362 @@
+// test/support/fake-chrome.js
+// In-memory stand-in for the chrome.* extension APIs, so background modules and content scripts
+// can run in plain Node. One FakeChrome models the whole browser: the background service worker,
+// the extension pages and the Duolingo tabs each get their own chrome namespace, and messages,
+// ports and storage changes are routed between them the way Chrome does.
+
+const NO_RECEIVER_ERROR = 'Could not establish connection. Receiving end does not exist.';
+
+// chrome.events.Event: listeners are called in order, dispatch returns their return values
+export class FakeEvent {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(registered => registered !== listener);
+    }
+
+    hasListener(listener) {
+        return this.listeners.includes(listener);
+    }
+
+    hasListeners() {
+        return this.listeners.length > 0;
+    }
+
+    dispatch(...args) {
+        return this.listeners.slice().map(listener => listener(...args));
+    }
+}
+
+// chrome.storage.StorageArea backed by a Map; changes are reported through chrome.storage.onChanged
+export class FakeStorageArea {
+    constructor(areaName, onChanged) {
+        this.areaName = areaName;
+        this.onChangedEvent = onChanged;
+        this.items = new Map();
+    }
+
+    async get(keys = null) {
+        if (keys === null || keys === undefined) {
+            return Object.fromEntries(Array.from(this.items, ([key, value]) => [key, structuredClone(value)]));
+        }
+
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const result = {};
+        names.forEach(key => {
+            if (this.items.has(key)) {
+                result[key] = structuredClone(this.items.get(key));
+            } else if (key in defaults) {
+                result[key] = defaults[key];
+            }
+        });
+        return result;
+    }
+
+    async set(items) {
+        const changes = {};
+        Object.entries(items).forEach(([key, value]) => {
+            changes[key] = { oldValue: this.items.get(key), newValue: structuredClone(value) };
+            this.items.set(key, structuredClone(value));
+        });
+        this.onChangedEvent.dispatch(changes, this.areaName);
+    }
+
+    async remove(keys) {
+        const changes = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+            if (this.items.has(key)) {
+                changes[key] = { oldValue: this.items.get(key) };
+                this.items.delete(key);
+            }
+        });
+        this.onChangedEvent.dispatch(changes, this.areaName);
+    }
+
+    async clear() {
+        await this.remove(Array.from(this.items.keys()));
+    }
+}
+
+// One end of a runtime.Port. Messages are delivered asynchronously, like Chrome does.
+class FakePort {
+    constructor(name, sender) {
+        this.name = name;
+        this.sender = sender;
+        this.onMessage = new FakeEvent();
+        this.onDisconnect = new FakeEvent();
+        this.other = null;
+        this.connected = true;
+    }
+
+    postMessage(message) {
+        if (!this.connected) {
+            throw new Error('Attempting to use a disconnected port object');
+        }
+        const copy = structuredClone(message);
+        queueMicrotask(() => {
+            if (this.other.connected) {
+                this.other.onMessage.dispatch(copy, this.other);
+            }
+        });
+    }
+
+    disconnect() {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        this.other.connected = false;
+        // Only the other end is told, as in Chrome
+        queueMicrotask(() => this.other.onDisconnect.dispatch(this.other));
+    }
+}
+
+function createPortPair(name, sender) {
+    const local = new FakePort(name, null);
+    const remote = new FakePort(name, sender);
+    local.other = remote;
+    remote.other = local;
+    return [local, remote];
+}
+
+// Deliver a one-time message to the onMessage listeners of the receiving contexts.
+// Resolves with the first response; rejects when nobody listens, like chrome.runtime.sendMessage.
+function deliverMessage(receivers, message, sender) {
+    const listeners = receivers.flatMap(context => context.runtime.onMessage.listeners);
+    if (listeners.length === 0) {
+        return Promise.reject(new Error(NO_RECEIVER_ERROR));
+    }
+
+    return new Promise(resolve => {
+        queueMicrotask(() => {
+            let responded = false;
+            let keepOpen = false;
+            const sendResponse = (response) => {
+                if (!responded) {
+                    responded = true;
+                    resolve(response === undefined ? undefined : structuredClone(response));
+                }
+            };
+
+            listeners.forEach(listener => {
+                if (listener(structuredClone(message), sender, sendResponse) === true) {
+                    keepOpen = true;
+                }
+            });
+
+            // Without a response or a listener keeping the channel open, Chrome resolves with undefined
+            if (!keepOpen) {
+                sendResponse(undefined);
+            }
+        });
+    });
+}
+
+// Match a tab URL against a Chrome match pattern such as 'https://www.duolingo.com/*'
+function matchesUrlPattern(url, pattern) {
+    const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${expression}$`).test(url || '');
+}
+
+export class FakeChrome {
+    constructor() {
+        this.extensionId = 'fake-extension-id';
+        this.storageChanged = new FakeEvent();
+        this.storage = {
+            local: new FakeStorageArea('local', this.storageChanged),
+            sync: new FakeStorageArea('sync', this.storageChanged),
+            session: new FakeStorageArea('session', this.storageChanged)
+        };
+        this.tabs = new Map(); // Tab id -> { tab, context }
+        this.nextTabId = 1;
+        this.activeTabId = null;
+        this.extensionPages = []; // Popup and options page contexts
+        this.notifications = []; // Every chrome.notifications.create call, in order
+        this.alarms = new Map();
+        this.tabEvents = {
+            onActivated: new FakeEvent(),
+            onRemoved: new FakeEvent(),
+            onUpdated: new FakeEvent()
+        };
+        this.windowEvents = {
+            onFocusChanged: new FakeEvent()
+        };
+        this.alarmEvents = {
+            onAlarm: new FakeEvent()
+        };
+        this.background = this.createContext({ kind: 'background' });
+    }
+
+    // Make this browser's background namespace the global chrome, with a fresh service worker style self
+    // so listeners from an earlier test don't see this one's events
+    install(target = globalThis) {
+        target.chrome = this.background;
+        target.self = new EventTarget();
+        return this.background;
+    }
+
+    // Build the chrome namespace seen by one extension context
+    createContext({ kind, tabId = null }) {
+        const browser = this;
+        const context = {
+            runtime: {
+                id: this.extensionId,
+                onMessage: new FakeEvent(),
+                onConnect: new FakeEvent(),
+                onStartup: new FakeEvent(),
+                onInstalled: new FakeEvent(),
+                onSuspend: new FakeEvent(),
+                lastError: undefined,
+                getURL: (path) => `chrome-extension://${this.extensionId}/${path.replace(/^\//, '')}`,
+                // Content scripts reach the background and extension pages; extension contexts reach each other
+                sendMessage: (message) => deliverMessage(
+                    browser.allExtensionContexts().filter(receiver => receiver !== context),
+                    message,
+                    browser.senderFor(kind, tabId)
+                ),
+                connect: (connectInfo = {}) => {
+                    const [local, remote] = createPortPair(connectInfo.name || '', browser.senderFor(kind, tabId));
+                    const receivers = browser.allExtensionContexts().filter(receiver => receiver !== context);
+                    queueMicrotask(() => {
+                        const listeners = receivers.filter(receiver => receiver.runtime.onConnect.hasListeners());
+                        if (listeners.length === 0) {
+                            local.connected = false;
+                            local.onDisconnect.dispatch(local);
+                            return;
+                        }
+                        listeners.forEach(receiver => receiver.runtime.onConnect.dispatch(remote));
+                    });
+                    return local;
+                }
+            },
+            storage: {
+                local: this.storage.local,
+                sync: this.storage.sync,
+                session: this.storage.session,
+                onChanged: this.storageChanged
+            }
+        };
+
+        if (kind !== 'content') {
+            context.tabs = {
+                onActivated: this.tabEvents.onActivated,
+                onRemoved: this.tabEvents.onRemoved,
+                onUpdated: this.tabEvents.onUpdated,
+                query: async (queryInfo = {}) => this.queryTabs(queryInfo),
+                get: async (id) => {
+                    const entry = this.tabs.get(id);
+                    if (!entry) {
+                        throw new Error(`No tab with id: ${id}.`);
+                    }
+                    return { ...entry.tab };
+                },
+                sendMessage: (id, message) => {
+                    const entry = this.tabs.get(id);
+                    if (!entry) {
+                        return Promise.reject(new Error(NO_RECEIVER_ERROR));
+                    }
+                    return deliverMessage([entry.context], message, { id: this.extensionId });
+                }
+            };
+            context.windows = {
+                WINDOW_ID_NONE: -1,
+                onFocusChanged: this.windowEvents.onFocusChanged
+            };
+            context.notifications = {
+                create: (id, options) => {
+                    this.notifications.push({ id, ...options });
+                    return Promise.resolve(id);
+                },
+                clear: (id) => Promise.resolve(this.notifications.some(notification => notification.id === id))
+            };
+            context.alarms = {
+                onAlarm: this.alarmEvents.onAlarm,
+                create: async (name, alarmInfo) => {
+                    this.alarms.set(name, { name, ...alarmInfo });
+                },
+                get: async (name) => this.alarms.get(name),
+                clear: async (name) => this.alarms.delete(name)
+            };
+        }
+
+        return context;
+    }
+
+    senderFor(kind, tabId) {
+        if (kind === 'content') {
+            const entry = this.tabs.get(tabId);
+            return { id: this.extensionId, tab: entry ? { ...entry.tab } : { id: tabId }, frameId: 0 };
+        }
+        return { id: this.extensionId };
+    }
+
+    allExtensionContexts() {
+        return [this.background, ...this.extensionPages];
+    }
+
+    // Open an extension page such as the popup; close it with closeExtensionPage
+    openExtensionPage() {
+        const context = this.createContext({ kind: 'page' });
+        this.extensionPages.push(context);
+        return context;
+    }
+
+    closeExtensionPage(context) {
+        this.extensionPages = this.extensionPages.filter(page => page !== context);
+    }
+
+    // Open a tab. Its chrome namespace is what the tab's content scripts would see.
+    openTab({ url = 'https://www.duolingo.com/lesson', title = 'Duolingo', windowId = 1 } = {}) {
+        const id = this.nextTabId++;
+        const tab = { id, url, title, windowId, active: false, lastAccessed: Date.now(), status: 'complete' };
+        const context = this.createContext({ kind: 'content', tabId: id });
+        this.tabs.set(id, { tab, context });
+        this.tabEvents.onUpdated.dispatch(id, { status: 'complete', url }, { ...tab });
+        return { id, tab, chrome: context };
+    }
+
+    activateTab(id) {
+        this.tabs.forEach(({ tab }) => {
+            tab.active = tab.id === id;
+        });
+        const entry = this.tabs.get(id);
+        entry.tab.lastAccessed = Date.now();
+        this.activeTabId = id;
+        this.tabEvents.onActivated.dispatch({ tabId: id, windowId: entry.tab.windowId });
+    }
+
+    navigateTab(id, url) {
+        const entry = this.tabs.get(id);
+        entry.tab.url = url;
+        // A navigation replaces the page, and with it the content scripts' listeners
+        entry.context = this.createContext({ kind: 'content', tabId: id });
+        this.tabEvents.onUpdated.dispatch(id, { status: 'loading', url }, { ...entry.tab });
+        return entry.context;
+    }
+
+    closeTab(id) {
+        const entry = this.tabs.get(id);
+        this.tabs.delete(id);
+        this.tabEvents.onRemoved.dispatch(id, { windowId: entry ? entry.tab.windowId : 1, isWindowClosing: false });
+    }
+
+    queryTabs(queryInfo) {
+        const patterns = queryInfo.url === undefined ? null : [].concat(queryInfo.url);
+        return Array.from(this.tabs.values())
+            .map(({ tab }) => ({ ...tab }))
+            .filter(tab => !patterns || patterns.some(pattern => matchesUrlPattern(tab.url, pattern)))
+            .filter(tab => queryInfo.active === undefined || tab.active === queryInfo.active)
+            .filter(tab => queryInfo.windowId === undefined || tab.windowId === queryInfo.windowId);
+    }
+
+    fireAlarm(name) {
+        this.alarmEvents.onAlarm.dispatch({ name, scheduledTime: Date.now() });
+    }
+}
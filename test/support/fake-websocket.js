@@ -0,0 +1,85 @@
+// test/support/fake-websocket.js
+// Scriptable stand-in for the browser WebSocket. The code under test uses it like a real socket;
+// the test plays the Neuro API server through open(), receive(), drop() and fail().
+
+export class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    // Every socket created since the last reset, oldest first
+    static instances = [];
+
+    static reset() {
+        FakeWebSocket.instances = [];
+    }
+
+    static get latest() {
+        return FakeWebSocket.instances[FakeWebSocket.instances.length - 1] || null;
+    }
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = []; // Parsed messages sent by the client, in order
+        this.onopen = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onmessage = null;
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        if (this.readyState !== FakeWebSocket.OPEN) {
+            throw new Error("Failed to execute 'send' on 'WebSocket': Still in CONNECTING state.");
+        }
+        this.sent.push(JSON.parse(data));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === FakeWebSocket.CLOSED) {
+            return;
+        }
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) {
+            this.onclose({ code, reason, wasClean: true });
+        }
+    }
+
+    // Commands the client has sent, e.g. ['startup', 'actions/register']
+    sentCommands() {
+        return this.sent.map(msg => msg.command);
+    }
+
+    // Server side: accept the connection
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        if (this.onopen) {
+            this.onopen({});
+        }
+    }
+
+    // Server side: send a message to the client
+    receive(msg) {
+        if (this.onmessage) {
+            this.onmessage({ data: JSON.stringify(msg) });
+        }
+    }
+
+    // Server side: the connection goes away without a clean close
+    drop(code = 1006) {
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.onclose) {
+            this.onclose({ code, reason: '', wasClean: false });
+        }
+    }
+
+    // Server side: the connection attempt fails, as when nothing listens on the port
+    fail() {
+        if (this.onerror) {
+            this.onerror(new Error('WebSocket connection failed'));
+        }
+        this.drop();
+    }
+}
@@ -0,0 +1,487 @@
+// tools/mock-neuro-server.mjs
+// Stand-in Neuro API server for developing and testing the extension offline.
+// Speaks the Neuro Game SDK protocol over a dependency-free WebSocket implementation.
+//
+// Usage:
+//   node tools/mock-neuro-server.mjs [--port 8000] [--mode random|scripted|manual]
+//                                    [--script steps.json] [--delay 1000] [--log messages.ndjson]
+//
+// Modes:
+//   random   - "Randy": answers every actions/force with a random one of its action names, filling
+//              the parameters from the action's JSON schema. Like Randy, it ignores context
+//   scripted - answers every actions/force and every non-silent context with the next step of the
+//              --script file, a JSON array of { "action": "submit_answer", "data": { "answer": "..." } } entries
+//   manual   - only sends what is typed on stdin
+//
+// Commands on stdin (in every mode):
+//   action <name> [json]   send an action, e.g. action submit_answer {"answer":"hola"}
+//   reregister             send actions/reregister_all
+//   shutdown graceful      send shutdown/graceful with wants_shutdown: true
+//   shutdown cancel        send shutdown/graceful with wants_shutdown: false
+//   shutdown immediate     send shutdown/immediate
+//   actions                list the registered actions
+//   pending                list actions still waiting for an action/result
+
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { appendFileSync, readFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: 8000,
+        mode: 'random',
+        script: null,
+        delay: 1000,
+        log: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        switch (flag) {
+            case '--port':
+                options.port = parseInt(value, 10);
+                i++;
+                break;
+            case '--mode':
+                options.mode = value;
+                i++;
+                break;
+            case '--script':
+                options.script = value;
+                i++;
+                break;
+            case '--delay':
+                options.delay = parseInt(value, 10);
+                i++;
+                break;
+            case '--log':
+                options.log = value;
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (!['random', 'scripted', 'manual'].includes(options.mode)) {
+        throw new Error(`Unknown mode: ${options.mode}`);
+    }
+    if (options.mode === 'scripted' && !options.script) {
+        throw new Error('Scripted mode needs a --script file');
+    }
+    return options;
+}
+
+// Minimal server side of RFC 6455: text frames, fragmentation, ping/pong and close
+class WebSocketConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readFrames();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    readFrames() {
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) {
+                    return;
+                }
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) {
+                    return;
+                }
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLength + length) {
+                return;
+            }
+
+            const mask = masked ? this.buffer.subarray(offset, offset + 4) : null;
+            const payload = Buffer.from(this.buffer.subarray(offset + maskLength, offset + maskLength + length));
+            if (mask) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= mask[i % 4];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + maskLength + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                break;
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, payload);
+                break;
+            case OPCODES.CLOSE:
+                this.sendFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+                this.socket.end();
+                this.handleClose();
+                break;
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) {
+            return;
+        }
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(text) {
+        this.sendFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    close() {
+        this.sendFrame(OPCODES.CLOSE, Buffer.from([0x03, 0xE8])); // 1000: normal closure
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// Build random action parameters that satisfy a (simple) JSON schema
+function randomFromSchema(schema) {
+    if (!schema) {
+        return {};
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[Math.floor(Math.random() * schema.enum.length)];
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                result[key] = randomFromSchema(propertySchema);
+            });
+            return result;
+        }
+        case 'array': {
+            const count = 1 + Math.floor(Math.random() * 4);
+            return Array.from({ length: count }, () => randomFromSchema(schema.items));
+        }
+        case 'integer':
+            return Math.floor(Math.random() * 10);
+        case 'number':
+            return Math.random() * 10;
+        case 'boolean':
+            return Math.random() < 0.5;
+        case 'string':
+            return ['hola', 'hello', 'gato', 'cat', 'I am', 'the apple'][Math.floor(Math.random() * 6)];
+        default:
+            return null;
+    }
+}
+
+class MockNeuroServer {
+    constructor(options) {
+        this.options = options;
+        this.client = null;
+        this.game = null;
+        this.actions = new Map(); // Registered action name -> definition
+        this.pendingActions = new Map(); // Sent action id -> name
+        this.completedActions = new Set();
+        this.script = options.script ? JSON.parse(readFileSync(options.script, 'utf8')) : [];
+        this.scriptIndex = 0;
+    }
+
+    log(direction, msg) {
+        const entry = { timestamp: new Date().toISOString(), direction, ...msg };
+        const arrow = direction === 'in' ? '<--' : '-->';
+        console.log(`[${entry.timestamp}] ${arrow} ${msg.command}`, msg.data !== undefined ? JSON.stringify(msg.data) : '');
+        if (this.options.log) {
+            appendFileSync(this.options.log, JSON.stringify(entry) + '\n');
+        }
+    }
+
+    note(message) {
+        console.log(`[${new Date().toISOString()}] *** ${message}`);
+    }
+
+    start() {
+        const server = createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('This is a WebSocket endpoint for the mock Neuro API.\n');
+        });
+
+        server.on('upgrade', (req, socket) => {
+            const key = req.headers['sec-websocket-key'];
+            if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+                socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+                return;
+            }
+
+            const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+            socket.write([
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${accept}`,
+                '',
+                ''
+            ].join('\r\n'));
+
+            // Like the real API, only one game is served at a time
+            if (this.client) {
+                this.note('New game connected, dropping the previous connection');
+                this.client.close();
+            }
+
+            const connection = new WebSocketConnection(
+                socket,
+                (text) => this.handleMessage(text),
+                () => {
+                    if (this.client === connection) {
+                        this.note('Game disconnected');
+                        this.client = null;
+                    }
+                }
+            );
+            this.client = connection;
+            this.note(`Game connected from ${req.socket.remoteAddress}`);
+        });
+
+        // --port 0 picks a free port, so always print the one actually in use
+        server.listen(this.options.port, () => {
+            this.note(`Mock Neuro API listening on ws://localhost:${server.address().port} (${this.options.mode} mode)`);
+        });
+
+        this.setupStdin();
+    }
+
+    send(msg) {
+        if (!this.client) {
+            this.note(`Not connected, cannot send ${msg.command}`);
+            return;
+        }
+        this.log('out', msg);
+        this.client.send(JSON.stringify(msg));
+    }
+
+    handleMessage(text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (e) {
+            this.note(`Ignoring invalid JSON: ${text}`);
+            return;
+        }
+
+        this.log('in', msg);
+        if (msg.game) {
+            this.game = msg.game;
+        }
+
+        switch (msg.command) {
+            case 'startup':
+                // startup clears every action the game registered before
+                this.actions.clear();
+                this.note(`Startup from "${msg.game}", cleared registered actions`);
+                break;
+            case 'actions/register':
+                (msg.data?.actions || []).forEach(action => {
+                    if (this.actions.has(action.name)) {
+                        this.note(`Ignoring registration of already registered action ${action.name}`);
+                        return;
+                    }
+                    this.actions.set(action.name, action);
+                });
+                break;
+            case 'actions/unregister':
+                (msg.data?.action_names || []).forEach(name => this.actions.delete(name));
+                break;
+            case 'context':
+                // Randy only acts when forced; a script also steps through the questions it is shown
+                if (!msg.data?.silent && this.options.mode === 'scripted') {
+                    this.respond(Array.from(this.actions.keys()), 'context');
+                }
+                break;
+            case 'actions/force':
+                this.respond(msg.data?.action_names || [], 'force');
+                break;
+            case 'action/result':
+                this.handleActionResult(msg.data || {});
+                break;
+            case 'shutdown/ready':
+                this.note('Game is ready to shut down');
+                break;
+            case 'ping':
+                break;
+            default:
+                this.note(`Unknown command from game: ${msg.command}`);
+        }
+    }
+
+    handleActionResult(data) {
+        if (this.completedActions.has(data.id)) {
+            this.note(`DUPLICATE action/result for ${data.id}`);
+            return;
+        }
+        if (!this.pendingActions.has(data.id)) {
+            this.note(`action/result for unknown action id ${data.id}`);
+            return;
+        }
+
+        const name = this.pendingActions.get(data.id);
+        this.pendingActions.delete(data.id);
+        this.completedActions.add(data.id);
+        this.note(`${name} ${data.success ? 'succeeded' : 'FAILED'}: ${data.message || ''}`);
+    }
+
+    // Pick the next action to perform after a prompt, according to the mode
+    respond(actionNames, reason) {
+        if (this.options.mode === 'manual') {
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.options.mode === 'scripted') {
+                const step = this.script[this.scriptIndex];
+                if (!step) {
+                    this.note(`Script finished, not responding to ${reason}`);
+                    return;
+                }
+                this.scriptIndex++;
+                this.sendAction(step.action, step.data || {});
+                return;
+            }
+
+            const candidates = actionNames.filter(name => this.actions.has(name));
+            if (candidates.length === 0) {
+                this.note(`No registered actions to respond to ${reason} with`);
+                return;
+            }
+            const name = candidates[Math.floor(Math.random() * candidates.length)];
+            this.sendAction(name, randomFromSchema(this.actions.get(name).schema));
+        }, this.options.delay);
+    }
+
+    sendAction(name, data) {
+        if (!this.actions.has(name)) {
+            this.note(`Warning: ${name} is not a registered action`);
+        }
+
+        const id = randomUUID();
+        this.pendingActions.set(id, name);
+        this.send({
+            command: 'action',
+            data: {
+                id,
+                name,
+                data: JSON.stringify(data)
+            }
+        });
+    }
+
+    setupStdin() {
+        const rl = createInterface({ input: process.stdin });
+        rl.on('line', (line) => {
+            const [command, ...rest] = line.trim().split(' ');
+            const argument = rest.join(' ');
+
+            try {
+                switch (command) {
+                    case 'action': {
+                        const [name, ...json] = argument.split(' ');
+                        this.sendAction(name, json.length > 0 ? JSON.parse(json.join(' ')) : {});
+                        break;
+                    }
+                    case 'reregister':
+                        this.send({ command: 'actions/reregister_all' });
+                        break;
+                    case 'shutdown':
+                        if (argument === 'immediate') {
+                            this.send({ command: 'shutdown/immediate' });
+                        } else {
+                            this.send({ command: 'shutdown/graceful', data: { wants_shutdown: argument !== 'cancel' } });
+                        }
+                        break;
+                    case 'actions':
+                        this.note(`Registered actions: ${Array.from(this.actions.keys()).join(', ') || 'none'}`);
+                        break;
+                    case 'pending':
+                        this.note(`Pending actions: ${Array.from(this.pendingActions.entries()).map(([id, name]) => `${name} (${id})`).join(', ') || 'none'}`);
+                        break;
+                    case '':
+                        break;
+                    default:
+                        this.note(`Unknown stdin command: ${command}`);
+                }
+            } catch (error) {
+                this.note(`Error: ${error.message}`);
+            }
+        });
+    }
+}
+
+try {
+    new MockNeuroServer(parseArgs(process.argv.slice(2))).start();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}